@@ -1,7 +1,9 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import express from "express";
 import axios from "axios";
 import { z } from "zod";
@@ -9,23 +11,58 @@ import dotenv from "dotenv";
 import http from "http";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { KeywordsEverywhereError, classifyApiError, retryDelay, toolErrorResult } from "./src/errors.js";
 
 // Load environment variables from .env file
 dotenv.config();
 
-const BASE_URL = "https://api.keywordseverywhere.com/v1";
-const DEFAULT_API_KEY = process.env.KEYWORDS_EVERYWHERE_API_KEY;
+const BASE_URL = process.env.KEYWORDS_EVERYWHERE_API_URL || "https://api.keywordseverywhere.com/v1";
 
-// Store per-request API key (set from URL query param or header)
-let requestApiKey = null;
+// KE_MOCK=1 answers every API call locally from the samples in References/
+const MOCK_MODE = ['1', 'true'].includes(process.env.KE_MOCK);
+
+// Mock mode needs no real key, but keys still scope the cache and budgets
+const DEFAULT_API_KEY = process.env.KEYWORDS_EVERYWHERE_API_KEY || (MOCK_MODE ? 'mock-api-key' : undefined);
+
+// Defaults used when a tool call doesn't specify a country or currency
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || "").toLowerCase();  // Global
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "myr").toLowerCase();  // Malaysian Ringgit
+
+// When true, HTTP callers must bring their own key (?apiKey= or X-API-Key)
+// instead of silently spending the server's DEFAULT_API_KEY credits
+const REQUIRE_USER_API_KEY = process.env.REQUIRE_USER_API_KEY === 'true';
+
+// HTTP sessions without a request for this long are closed (0 = never)
+const SESSION_IDLE_MINUTES = parseFloat(process.env.SESSION_IDLE_MINUTES || '30');
+
+// Accept the legacy `invoke` JSON-RPC method used by early HTTP clients
+const ENABLE_LEGACY_INVOKE = process.env.ENABLE_LEGACY_INVOKE === 'true';
+
+// Per-request context (API key, session) for the HTTP transport. Each request
+// runs inside its own store, so concurrent clients never see each other's key.
+const requestContext = new AsyncLocalStorage();
 
 function getApiKey() {
-  // User-provided key takes priority, fallback to default
-  return requestApiKey || DEFAULT_API_KEY;
+  const context = requestContext.getStore();
+  if (!context) {
+    // STDIO transport: single local user, always the configured key
+    return DEFAULT_API_KEY;
+  }
+  // User-provided key takes priority, fallback to default unless disabled
+  return context.apiKey || (REQUIRE_USER_API_KEY ? null : DEFAULT_API_KEY);
+}
+
+if (MOCK_MODE) {
+  console.error("🧪 KE_MOCK is set: API calls are answered with sample data, no credits are spent");
 }
 
 if (!DEFAULT_API_KEY) {
   console.warn("Warning: KEYWORDS_EVERYWHERE_API_KEY not set. Users must provide their own API key via URL query param.");
+} else if (REQUIRE_USER_API_KEY) {
+  console.warn("REQUIRE_USER_API_KEY is enabled: HTTP clients must provide their own API key.");
 }
 
 // ============================================================================
@@ -85,16 +122,20 @@ function saveAnalytics() {
 // Auto-save analytics every 5 minutes
 setInterval(saveAnalytics, 5 * 60 * 1000);
 
-// Save on process exit
+// Save on process exit. The cache's batched write timer is unref'd, so it is
+// flushed here however the process ends (signal, or STDIO input closing).
+process.on('exit', () => {
+  saveAnalytics();
+  saveCache();
+});
+
 process.on('SIGTERM', () => {
   console.error('📊 Saving analytics before shutdown...');
-  saveAnalytics();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.error('📊 Saving analytics before shutdown...');
-  saveAnalytics();
   process.exit(0);
 });
 
@@ -193,484 +234,4377 @@ function getUptime() {
   return `${minutes}m`;
 }
 
-const TOOLS = {
-  // Account
-  get_credits: {
-    name: "get_credits",
-    description: "Get your account's credit balance",
-    inputSchema: {
-      type: "object",
-      properties: {}
-    }
-  },
+// ============================================================================
+// Response Cache with File Persistence
+// ============================================================================
+// Repeated lookups are answered from the cache instead of spending credits
+// again. Entries are keyed by endpoint and request parameters (country
+// included) and scoped to the API key, so accounts never share results.
+const CACHE_FILE = process.env.CACHE_FILE || path.join(path.dirname(ANALYTICS_FILE), 'keywords-everywhere-cache.json');
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '5000', 10);
 
-  // Countries and Currencies
-  get_countries: {
-    name: "get_countries",
-    description: "Get list of supported countries",
-    inputSchema: {
-      type: "object",
-      properties: {}
-    }
-  },
+const HOUR = 60 * 60 * 1000;
 
-  get_currencies: {
-    name: "get_currencies",
-    description: "Get list of supported currencies",
-    inputSchema: {
-      type: "object",
-      properties: {}
-    }
-  },
+// How long responses stay fresh per endpoint. Reference lists rarely change,
+// metrics are refreshed at least daily. Endpoints not listed here (the
+// credit balance) always go to the API.
+const CACHE_TTLS = {
+  'countries': 7 * 24 * HOUR,
+  'currencies': 7 * 24 * HOUR,
+  'get_keyword_data': 24 * HOUR,
+  'get_related_keywords': 24 * HOUR,
+  'get_pasf_keywords': 24 * HOUR,
+  'get_domain_keywords': 12 * HOUR,
+  'get_url_keywords': 12 * HOUR,
+  'get_domain_traffic_metrics': 12 * HOUR,
+  'get_url_traffic_metrics': 12 * HOUR,
+  'get_domain_backlinks': 24 * HOUR,
+  'get_unique_domain_backlinks': 24 * HOUR,
+  'get_page_backlinks': 24 * HOUR,
+  'get_unique_page_backlinks': 24 * HOUR,
+};
 
-  // Keyword Data
-  get_keyword_data: {
-    name: "get_keyword_data",
-    description: "Get Volume, CPC and competition for a set of keywords",
-    inputSchema: {
-      type: "object",
-      properties: {
-        keywords: { 
-          type: "array",
-          items: { type: "string" },
-          description: "List of keywords to analyze"
-        },
-        country: { 
-          type: "string", 
-          description: "Country code (empty string for Global, 'us' for United States, etc.)",
-          default: ""
-        },
-        currency: {
-          type: "string",
-          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
-          default: "myr"
-        }
-      },
-      required: ["keywords"]
-    }
-  },
+// Totals since startup, shown on /analytics
+const cacheStats = { hits: 0, misses: 0, creditsSaved: 0 };
+let cacheDirty = false;
+let cacheSaveTimer = null;
 
-  // Related Keywords
-  get_related_keywords: {
-    name: "get_related_keywords",
-    description: "Get related keywords based on a seed keyword",
-    inputSchema: {
-      type: "object",
-      properties: {
-        keyword: {
-          type: "string",
-          description: "Seed keyword to find related terms for"
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
+// Load unexpired entries from file
+function loadCache() {
+  const entries = new Map();
+  if (!CACHE_ENABLED) {
+    return entries;
+  }
+  try {
+    if (fs.existsSync(CACHE_FILE)) {
+      const now = Date.now();
+      const stored = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+      Object.entries(stored.entries || {}).forEach(([key, entry]) => {
+        if (entry.expiresAt > now) {
+          entries.set(key, entry);
         }
-      },
-      required: ["keyword"]
+      });
+      console.error(`🗄️ Loaded ${entries.size} cached responses from ${CACHE_FILE}`);
     }
-  },
+  } catch (error) {
+    console.warn('⚠️ Could not load cache file, starting empty:', error.message);
+  }
+  return entries;
+}
 
-  // People Also Search For
-  get_pasf_keywords: {
-    name: "get_pasf_keywords",
-    description: "Get 'People Also Search For' keywords based on a seed keyword",
-    inputSchema: {
-      type: "object",
-      properties: {
-        keyword: {
-          type: "string",
-          description: "Seed keyword to find PASF terms for"
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["keyword"]
+// Save cache to file (only when something changed)
+function saveCache() {
+  if (!CACHE_ENABLED || !cacheDirty) {
+    return;
+  }
+  try {
+    const dir = path.dirname(CACHE_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
-  },
+    fs.writeFileSync(CACHE_FILE, JSON.stringify({ entries: Object.fromEntries(responseCache) }));
+    cacheDirty = false;
+  } catch (error) {
+    console.warn('⚠️ Could not save cache file:', error.message);
+  }
+}
 
-  // Domain Keywords
-  get_domain_keywords: {
-    name: "get_domain_keywords",
-    description: "Get keywords that a domain ranks for",
-    inputSchema: {
-      type: "object",
-      properties: {
-        domain: {
-          type: "string",
-          description: "Domain to analyze (e.g., example.com)"
-        },
-        country: {
-          type: "string",
-          description: "Country code (empty string for Global, 'us' for United States, etc.)",
-          default: ""
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["domain"]
-    }
-  },
+// Batch writes: save a few seconds after the last change
+function scheduleCacheSave() {
+  cacheDirty = true;
+  if (!cacheSaveTimer) {
+    cacheSaveTimer = setTimeout(() => {
+      cacheSaveTimer = null;
+      saveCache();
+    }, 5000);
+    cacheSaveTimer.unref();
+  }
+}
 
-  // URL Keywords
-  get_url_keywords: {
-    name: "get_url_keywords",
-    description: "Get keywords that a URL ranks for",
-    inputSchema: {
-      type: "object",
-      properties: {
-        url: {
-          type: "string",
-          description: "URL to analyze"
-        },
-        country: {
-          type: "string",
-          description: "Country code (empty string for Global, 'us' for United States, etc.)",
-          default: ""
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["url"]
-    }
-  },
+const responseCache = loadCache();
 
-  // Traffic Metrics
-  get_domain_traffic: {
-    name: "get_domain_traffic",
-    description: "Get traffic metrics for a domain",
-    inputSchema: {
-      type: "object",
-      properties: {
-        domain: {
-          type: "string",
-          description: "Domain to analyze (e.g., example.com)"
-        },
-        country: {
-          type: "string",
-          description: "Country code (empty string for Global, 'us' for United States, etc.)",
-          default: ""
-        }
-      },
-      required: ["domain"]
-    }
-  },
+// Short, non-reversible id for an API key, used to scope stored data
+function apiKeyScope(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
 
-  get_url_traffic: {
-    name: "get_url_traffic",
-    description: "Get traffic metrics for a URL",
-    inputSchema: {
-      type: "object",
-      properties: {
-        url: {
-          type: "string",
-          description: "URL to analyze"
-        },
-        country: {
-          type: "string",
-          description: "Country code (empty string for Global, 'us' for United States, etc.)",
-          default: ""
-        }
-      },
-      required: ["url"]
+function cacheKey(apiKey, endpoint, data) {
+  const params = data instanceof URLSearchParams ? [...data.entries()] : Object.entries(data || {});
+  // Sort by name only; the sort is stable, so repeated kw[] keep their order
+  params.sort(([a], [b]) => a.localeCompare(b));
+  return `${apiKeyScope(apiKey)}:${endpoint}:${JSON.stringify(params)}`;
+}
+
+function getCachedResponse(key) {
+  const entry = responseCache.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    responseCache.delete(key);
+    scheduleCacheSave();
+    return null;
+  }
+  
+  // A cached answer costs nothing, and its balance is out of date
+  const response = structuredClone(entry.response);
+  if (response && typeof response === 'object' && !Array.isArray(response) && 'credits_consumed' in response) {
+    response.credits_consumed = 0;
+    delete response.credits;
+  }
+  return { response, creditsSaved: entry.response?.credits_consumed || 0 };
+}
+
+function setCachedResponse(key, endpoint, response) {
+  // Re-insert so Map order stays oldest-first for eviction
+  responseCache.delete(key);
+  responseCache.set(key, {
+    endpoint,
+    cachedAt: new Date().toISOString(),
+    expiresAt: Date.now() + CACHE_TTLS[endpoint],
+    response
+  });
+  while (responseCache.size > CACHE_MAX_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+  scheduleCacheSave();
+}
+
+function getCacheStatus() {
+  return {
+    enabled: CACHE_ENABLED,
+    entries: responseCache.size,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    creditsSaved: cacheStats.creditsSaved,
+  };
+}
+
+// ============================================================================
+// Credit Budgets
+// ============================================================================
+// Every API response reports credits_consumed. Spending is tracked per API key
+// per UTC day (persisted) and per session (in memory), and calls that could
+// push either total past its budget are refused before they are sent.
+const CREDIT_LEDGER_FILE = process.env.CREDIT_LEDGER_FILE || path.join(path.dirname(ANALYTICS_FILE), 'keywords-everywhere-credits.json');
+const CREDIT_BUDGET_DAILY = parseInt(process.env.CREDIT_BUDGET_DAILY || '0', 10);      // 0 = unlimited
+const CREDIT_BUDGET_SESSION = parseInt(process.env.CREDIT_BUDGET_SESSION || '0', 10);  // 0 = unlimited
+const CREDIT_LEDGER_DAYS = 30;
+
+// Credits charged per unit, from the API docs. The unit is either a list
+// parameter (one charge per keyword/domain/URL sent) or `num`, the number of
+// results requested, which makes the estimate an upper bound.
+const CREDIT_COSTS = {
+  'get_keyword_data': { unit: 'kw[]', credits: 1 },
+  'get_related_keywords': { unit: 'num', credits: 2 },
+  'get_pasf_keywords': { unit: 'num', credits: 2 },
+  'get_domain_keywords': { unit: 'num', credits: 2 },
+  'get_url_keywords': { unit: 'num', credits: 2 },
+  'get_domain_traffic_metrics': { unit: 'domains[]', credits: 2 },
+  'get_url_traffic_metrics': { unit: 'urls[]', credits: 2 },
+  'get_domain_backlinks': { unit: 'num', credits: 1 },
+  'get_unique_domain_backlinks': { unit: 'num', credits: 5 },
+  'get_page_backlinks': { unit: 'num', credits: 1 },
+  'get_unique_page_backlinks': { unit: 'num', credits: 5 },
+};
+
+// Load the daily ledger ({ days: { date: { keyScope: credits } } }) from file
+function loadCreditLedger() {
+  try {
+    if (fs.existsSync(CREDIT_LEDGER_FILE)) {
+      const loaded = JSON.parse(fs.readFileSync(CREDIT_LEDGER_FILE, 'utf-8'));
+      console.error(`💳 Loaded credit ledger from ${CREDIT_LEDGER_FILE}`);
+      return { days: loaded.days || {} };
     }
-  },
+  } catch (error) {
+    console.warn('⚠️ Could not load credit ledger, starting fresh:', error.message);
+  }
+  return { days: {} };
+}
 
-  // Backlinks
-  get_domain_backlinks: {
-    name: "get_domain_backlinks",
-    description: "Get backlinks for a domain",
-    inputSchema: {
-      type: "object",
-      properties: {
-        domain: {
-          type: "string",
-          description: "Domain to analyze (e.g., example.com)"
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["domain"]
+// Save the ledger after every charge, so a crash can't reset a budget
+function saveCreditLedger() {
+  try {
+    const dir = path.dirname(CREDIT_LEDGER_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
-  },
+    fs.writeFileSync(CREDIT_LEDGER_FILE, JSON.stringify(creditLedger, null, 2));
+  } catch (error) {
+    console.warn('⚠️ Could not save credit ledger:', error.message);
+  }
+}
 
-  get_unique_domain_backlinks: {
-    name: "get_unique_domain_backlinks",
-    description: "Get unique domain backlinks",
-    inputSchema: {
+const creditLedger = loadCreditLedger();
+const sessionCredits = new Map();  // sessionId -> credits spent
+const pendingCredits = new Map();  // "day:<scope>" / "session:<id>" -> credits reserved by in-flight calls
+
+function budgetDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// STDIO has a single session for the lifetime of the process
+function budgetSessionId(context) {
+  return context?.sessionId || 'stdio';
+}
+
+function estimateCredits(endpoint, data) {
+  const cost = CREDIT_COSTS[endpoint];
+  if (!cost || !data) {
+    return 0;
+  }
+  const units = cost.unit === 'num'
+    ? Number(data instanceof URLSearchParams ? data.get('num') : data.num) || 0
+    : (data instanceof URLSearchParams ? data.getAll(cost.unit) : [].concat(data[cost.unit] || [])).length;
+  return units * cost.credits;
+}
+
+function getBudgetStatus(apiKey, sessionId) {
+  const day = budgetDay();
+  const dailySpent = creditLedger.days[day]?.[apiKeyScope(apiKey)] || 0;
+  const sessionSpent = sessionCredits.get(sessionId) || 0;
+  const describe = (spent, limit) => limit > 0
+    ? { spent, limit, remaining: Math.max(limit - spent, 0) }
+    : { spent };
+  return {
+    date: day,
+    daily: describe(dailySpent, CREDIT_BUDGET_DAILY),
+    session: describe(sessionSpent, CREDIT_BUDGET_SESSION)
+  };
+}
+
+// Reserve the estimated cost of a call, or throw if a budget can't cover it.
+// Reservations count against the budget until settled, so concurrent calls
+// (bulk batches) can't overshoot it together.
+function reserveCredits(apiKey, sessionId, endpoint, estimate) {
+  const reservation = { keys: [`day:${apiKeyScope(apiKey)}`, `session:${sessionId}`], estimate };
+  if (estimate <= 0) {
+    return reservation;
+  }
+  
+  const status = getBudgetStatus(apiKey, sessionId);
+  const budgets = [
+    ['daily', status.daily, reservation.keys[0]],
+    ['session', status.session, reservation.keys[1]]
+  ];
+  for (const [label, budget, pendingKey] of budgets) {
+    if (budget.limit === undefined) {
+      continue;
+    }
+    const available = budget.remaining - (pendingCredits.get(pendingKey) || 0);
+    if (estimate > available) {
+      throw new KeywordsEverywhereError('budget', 'budget_exceeded', `Credit budget exceeded: ${endpoint} could cost up to ${estimate} credits, but only ${Math.max(available, 0)} of the ${budget.limit}-credit ${label} budget remain. Request fewer results or check get_budget_status.`);
+    }
+  }
+  
+  reservation.keys.forEach(key => pendingCredits.set(key, (pendingCredits.get(key) || 0) + estimate));
+  return reservation;
+}
+
+// Release a reservation and charge what the call actually consumed
+function settleCredits(reservation, apiKey, sessionId, consumed) {
+  reservation.keys.forEach(key => {
+    const remaining = (pendingCredits.get(key) || 0) - reservation.estimate;
+    if (remaining > 0) {
+      pendingCredits.set(key, remaining);
+    } else {
+      pendingCredits.delete(key);
+    }
+  });
+  if (!(consumed > 0)) {
+    return;
+  }
+  
+  const day = budgetDay();
+  const scope = apiKeyScope(apiKey);
+  creditLedger.days[day] = creditLedger.days[day] || {};
+  creditLedger.days[day][scope] = (creditLedger.days[day][scope] || 0) + consumed;
+  sessionCredits.set(sessionId, (sessionCredits.get(sessionId) || 0) + consumed);
+  
+  // Keep a month of history
+  Object.keys(creditLedger.days).sort().slice(0, -CREDIT_LEDGER_DAYS).forEach(old => delete creditLedger.days[old]);
+  saveCreditLedger();
+  creditsChanged(apiKey);
+}
+
+// ============================================================================
+// Result Exports
+// ============================================================================
+// Tool results can be returned as tables (markdown, CSV, TSV, JSON Lines) and
+// saved to EXPORT_DIR, one folder per API key. HTTP clients can download them
+// with the key that created them.
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(path.dirname(ANALYTICS_FILE), 'exports');
+const EXPORT_MAX_FILES = parseInt(process.env.EXPORT_MAX_FILES || '100', 10);
+const EXPORT_FORMATS = ['text', 'markdown_table', 'csv', 'tsv', 'jsonl'];
+const EXPORT_EXTENSIONS = { text: 'txt', markdown_table: 'md', csv: 'csv', tsv: 'tsv', jsonl: 'jsonl' };
+
+// Exports are stored per key scope, so a key can only reach its own files
+function exportDirFor(apiKey) {
+  return path.join(EXPORT_DIR, apiKeyScope(apiKey));
+}
+
+// Write an export and prune the key's oldest files beyond EXPORT_MAX_FILES.
+// File names end in 16 random bytes, so they can't be guessed either.
+function saveExport(apiKey, toolName, format, content) {
+  if (!apiKey) {
+    throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Exports are stored per API key; provide one via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+  }
+  const dir = exportDirFor(apiKey);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileName = `${toolName}-${timestamp}-${crypto.randomBytes(16).toString('hex')}.${EXPORT_EXTENSIONS[format]}`;
+  const filePath = path.join(dir, fileName);
+  // A BOM makes Excel read CSV/TSV as UTF-8
+  fs.writeFileSync(filePath, (format === 'csv' || format === 'tsv' ? '\uFEFF' : '') + content);
+  
+  try {
+    const files = fs.readdirSync(dir)
+      .map(name => ({ name, time: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.time - a.time);
+    files.slice(EXPORT_MAX_FILES).forEach(file => fs.unlinkSync(path.join(dir, file.name)));
+  } catch (error) {
+    console.warn('⚠️ Could not prune old exports:', error.message);
+  }
+  return { fileName, filePath };
+}
+
+// ============================================================================
+// Project Workspaces
+// ============================================================================
+// Named projects keep keyword lists, ranking and backlink snapshots across
+// chat sessions. Projects are scoped per API key, like the response cache.
+const PROJECTS_FILE = process.env.PROJECTS_FILE || path.join(path.dirname(ANALYTICS_FILE), 'keywords-everywhere-projects.json');
+const PROJECT_COLLECTIONS = ['keywords', 'rankings', 'backlinks'];
+const MAX_PROJECT_KEYWORDS = 10000;
+const MAX_PROJECT_SNAPSHOTS = 50;  // per collection; the oldest are dropped
+
+// Tools whose results can be saved with saveToProject, and where they go
+const PROJECT_SOURCES = {
+  get_keyword_data: 'keywords',
+  get_keyword_data_bulk: 'keywords',
+  get_related_keywords: 'keywords',
+  get_pasf_keywords: 'keywords',
+  score_keywords: 'keywords',
+  get_domain_keywords: 'rankings',
+  get_url_keywords: 'rankings',
+  get_domain_backlinks: 'backlinks',
+  get_unique_domain_backlinks: 'backlinks',
+  get_page_backlinks: 'backlinks',
+  get_unique_page_backlinks: 'backlinks',
+};
+
+// Load projects ({ scopes: { keyScope: { name: project } } }) from file
+function loadProjects() {
+  try {
+    if (fs.existsSync(PROJECTS_FILE)) {
+      const loaded = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf-8'));
+      console.error(`📁 Loaded projects from ${PROJECTS_FILE}`);
+      return { scopes: loaded.scopes || {} };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load projects, starting fresh:', error.message);
+  }
+  return { scopes: {} };
+}
+
+// Save after every change; projects are the user's own research
+function saveProjects() {
+  try {
+    const dir = path.dirname(PROJECTS_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projectStore, null, 2));
+  } catch (error) {
+    console.warn('⚠️ Could not save projects:', error.message);
+  }
+}
+
+const projectStore = loadProjects();
+
+// Project names double as resource URIs (project://<name>), so keep them URL-safe
+function projectSlug(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+// Projects of an API key. Reads get an empty object for keys without projects;
+// only `create` adds the key's scope to the store.
+function projectsFor(apiKey, { create = false } = {}) {
+  if (!apiKey) {
+    throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Projects are stored per API key; provide one via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+  }
+  const scope = apiKeyScope(apiKey);
+  if (create && !projectStore.scopes[scope]) {
+    projectStore.scopes[scope] = {};
+  }
+  return projectStore.scopes[scope] || {};
+}
+
+function getProject(apiKey, name) {
+  const projects = projectsFor(apiKey);
+  const slug = projectSlug(name);
+  if (projects[slug]) {
+    return projects[slug];
+  }
+  const matches = Object.keys(projects)
+    .filter(other => editDistance(slug, other) <= Math.max(1, Math.floor(slug.length / 3)));
+  const suggestion = matches.length > 0 ? ` Did you mean: ${matches.join(', ')}?` : '';
+  throw new Error(`Project "${slug}" not found.${suggestion} Use list_projects to see your projects or create_project to start one.`);
+}
+
+function createProject(apiKey, name, description) {
+  const slug = projectSlug(name);
+  if (!slug) {
+    throw new Error('Project name must contain letters or digits');
+  }
+  const projects = projectsFor(apiKey, { create: true });
+  if (projects[slug]) {
+    throw new Error(`Project "${slug}" already exists`);
+  }
+  const now = new Date().toISOString();
+  projects[slug] = {
+    name: slug,
+    description: description || '',
+    created_at: now,
+    updated_at: now,
+    keywords: [],
+    rankings: [],
+    backlinks: []
+  };
+  saveProjects();
+  return projects[slug];
+}
+
+// Merge keywords into the project list. Known keywords keep their first
+// added_at and take the latest metrics; returns how many were new.
+function addProjectKeywords(project, items, source) {
+  const now = new Date().toISOString();
+  const index = new Map(project.keywords.map(item => [item.keyword, item]));
+  let added = 0;
+  items.forEach(item => {
+    const { keyword: rawKeyword, ...metrics } = typeof item === 'string' ? { keyword: item } : item;
+    const keyword = normalizeKeywords([rawKeyword || ''])[0];
+    if (!keyword) {
+      return;
+    }
+    const existing = index.get(keyword);
+    if (existing) {
+      Object.assign(existing, metrics, { source: source || existing.source, updated_at: now });
+    } else if (project.keywords.length < MAX_PROJECT_KEYWORDS) {
+      const entry = { keyword, ...metrics, source, added_at: now, updated_at: now };
+      project.keywords.push(entry);
+      index.set(keyword, entry);
+      added++;
+    }
+  });
+  return added;
+}
+
+// Add a dated snapshot of ranking keywords or backlinks for a domain/URL
+function addProjectSnapshot(project, collection, snapshot) {
+  project[collection].push({ ...snapshot, saved_at: new Date().toISOString() });
+  project[collection] = project[collection].slice(-MAX_PROJECT_SNAPSHOTS);
+}
+
+function projectSummary(project) {
+  return {
+    name: project.name,
+    description: project.description,
+    created_at: project.created_at,
+    updated_at: project.updated_at,
+    keywords: project.keywords.length,
+    rankings: project.rankings.length,
+    backlinks: project.backlinks.length
+  };
+}
+
+// Save a tool result to a project (saveToProject). Returns what was stored.
+function saveResultToProject(project, toolName, args, structured) {
+  const collection = PROJECT_SOURCES[toolName];
+  const items = structured.data || [];
+  const saved = { project: project.name, collection, items: items.length };
+
+  if (collection === 'keywords') {
+    saved.added = addProjectKeywords(project, items, toolName);
+  } else {
+    addProjectSnapshot(project, collection, {
+      target: args.domain || args.url,
+      ...(args.country !== undefined && { country: args.country }),
+      source: toolName,
+      data: items
+    });
+  }
+  project.updated_at = new Date().toISOString();
+  saveProjects();
+  return saved;
+}
+
+// ============================================================================
+// Rank Tracking
+// ============================================================================
+// Dated get_domain_keywords snapshots per domain and country, taken on demand
+// or on a schedule, and diffed by rank_changes. Scheduled snapshots run
+// without a client, so they can only use the server's own API key.
+const RANK_TRACKING_FILE = process.env.RANK_TRACKING_FILE || path.join(path.dirname(ANALYTICS_FILE), 'keywords-everywhere-rankings.json');
+const RANK_TRACKING_SCHEDULE = process.env.RANK_TRACKING_SCHEDULE === 'true';
+const RANK_TRACKING_CHECK_MINUTES = parseFloat(process.env.RANK_TRACKING_CHECK_MINUTES || '15');
+const MAX_RANK_SNAPSHOTS = 90;  // per domain and country; the oldest are dropped
+
+// Load tracking data ({ scopes: { keyScope: { tracked, snapshots } } }) from file
+function loadRankTracking() {
+  try {
+    if (fs.existsSync(RANK_TRACKING_FILE)) {
+      const loaded = JSON.parse(fs.readFileSync(RANK_TRACKING_FILE, 'utf-8'));
+      console.error(`📈 Loaded rank tracking from ${RANK_TRACKING_FILE}`);
+      return { scopes: loaded.scopes || {} };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load rank tracking, starting fresh:', error.message);
+  }
+  return { scopes: {} };
+}
+
+function saveRankTracking() {
+  try {
+    const dir = path.dirname(RANK_TRACKING_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(RANK_TRACKING_FILE, JSON.stringify(rankTracking, null, 2));
+  } catch (error) {
+    console.warn('⚠️ Could not save rank tracking:', error.message);
+  }
+}
+
+const rankTracking = loadRankTracking();
+
+// Rank tracking of an API key. Reads get an empty store for keys that track
+// nothing; only `create` adds the key's scope (like projectsFor).
+function rankTrackingFor(apiKey, { create = false } = {}) {
+  if (!apiKey) {
+    throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Please provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+  }
+  const scope = apiKeyScope(apiKey);
+  if (create && !rankTracking.scopes[scope]) {
+    rankTracking.scopes[scope] = { tracked: {}, snapshots: {} };
+  }
+  return rankTracking.scopes[scope] || { tracked: {}, snapshots: {} };
+}
+
+// Country '' is Global
+function rankTarget(domain, country) {
+  return `${domain}|${country}`;
+}
+
+function isScheduled(apiKey, entry) {
+  return RANK_TRACKING_SCHEDULE && apiKey === DEFAULT_API_KEY && entry.interval_hours > 0;
+}
+
+function describeTracked(apiKey, entry, snapshots = []) {
+  const scheduled = isScheduled(apiKey, entry);
+  const last = snapshots[snapshots.length - 1];
+  const next = scheduled && last ? new Date(Date.parse(last.taken_at) + entry.interval_hours * HOUR).toISOString() : undefined;
+  return {
+    ...entry,
+    snapshots: snapshots.length,
+    last_snapshot_at: last?.taken_at,
+    scheduled,
+    next_snapshot_at: scheduled ? next || 'next scheduler run' : undefined
+  };
+}
+
+// Fetch the domain's ranking keywords and store them as a snapshot. Always
+// fetches fresh data, since a cached response would misdate the snapshot.
+async function takeRankSnapshot(apiKey, domain, country, num, source) {
+  const response = await requestContext.run(
+    { ...requestContext.getStore(), apiKey, bypassCache: true },
+    () => makeApiCall("get_domain_keywords", { domain, country, num })
+  );
+  const keywords = (response?.data || []).map(item => ({
+    keyword: item.keyword,
+    serp_position: item.serp_position,
+    estimated_monthly_traffic: Number(item.estimated_monthly_traffic) || 0
+  }));
+  const snapshot = {
+    taken_at: new Date().toISOString(),
+    source,
+    num,
+    total_traffic: keywords.reduce((sum, item) => sum + item.estimated_monthly_traffic, 0),
+    credits_consumed: response?.credits_consumed || 0,
+    keywords
+  };
+
+  const tracking = rankTrackingFor(apiKey, { create: true });
+  const target = rankTarget(domain, country);
+  tracking.snapshots[target] = [...(tracking.snapshots[target] || []), snapshot].slice(-MAX_RANK_SNAPSHOTS);
+  saveRankTracking();
+  return snapshot;
+}
+
+// Pick the latest snapshot taken at or before `when` (a timestamp, or a
+// YYYY-MM-DD date meaning the end of that day)
+function findSnapshot(snapshots, when) {
+  const limit = /^\d{4}-\d{2}-\d{2}$/.test(when) ? Date.parse(`${when}T23:59:59.999Z`) : Date.parse(when);
+  if (isNaN(limit)) {
+    throw new Error(`Invalid snapshot time "${when}". Use a date (YYYY-MM-DD) or a snapshot's taken_at timestamp.`);
+  }
+  let index = snapshots.length - 1;
+  while (index >= 0 && Date.parse(snapshots[index].taken_at) > limit) {
+    index--;
+  }
+  if (index === -1) {
+    throw new Error(`No snapshot at or before ${when}. The first snapshot was taken at ${snapshots[0].taken_at}.`);
+  }
+  return index;
+}
+
+// Diff two snapshots: keywords gained and lost, position moves and traffic
+function rankChanges(from, to, limit) {
+  const before = new Map(from.keywords.map(item => [item.keyword, item]));
+  const after = new Map(to.keywords.map(item => [item.keyword, item]));
+  const byTraffic = (a, b) => b.estimated_monthly_traffic - a.estimated_monthly_traffic;
+
+  const moved = to.keywords.filter(item => before.has(item.keyword)).map(item => {
+    const previous = before.get(item.keyword);
+    return {
+      keyword: item.keyword,
+      from_position: previous.serp_position,
+      to_position: item.serp_position,
+      change: previous.serp_position - item.serp_position,  // positive = moved up
+      traffic_change: item.estimated_monthly_traffic - previous.estimated_monthly_traffic
+    };
+  });
+  const gained = to.keywords.filter(item => !before.has(item.keyword)).sort(byTraffic);
+  const lost = from.keywords.filter(item => !after.has(item.keyword)).sort(byTraffic);
+  const improved = moved.filter(item => item.change > 0).sort((a, b) => b.change - a.change);
+  const declined = moved.filter(item => item.change < 0).sort((a, b) => a.change - b.change);
+
+  const trafficChange = to.total_traffic - from.total_traffic;
+  return {
+    summary: {
+      gained: gained.length,
+      lost: lost.length,
+      improved: improved.length,
+      declined: declined.length,
+      unchanged: moved.length - improved.length - declined.length
+    },
+    traffic: {
+      from: from.total_traffic,
+      to: to.total_traffic,
+      change: trafficChange,
+      ...(from.total_traffic > 0 && { change_percent: Math.round(trafficChange / from.total_traffic * 1000) / 10 })
+    },
+    gained: gained.slice(0, limit),
+    lost: lost.slice(0, limit),
+    improved: improved.slice(0, limit),
+    declined: declined.slice(0, limit)
+  };
+}
+
+// Take due snapshots for domains tracked with the server's API key. Runs one
+// at a time; budgets apply as for any other call.
+let rankSchedulerRunning = false;
+
+async function runDueRankSnapshots() {
+  if (rankSchedulerRunning || !DEFAULT_API_KEY) {
+    return;
+  }
+  rankSchedulerRunning = true;
+  try {
+    const tracking = rankTrackingFor(DEFAULT_API_KEY);
+    for (const [target, entry] of Object.entries(tracking.tracked)) {
+      const snapshots = tracking.snapshots[target] || [];
+      const last = snapshots[snapshots.length - 1];
+      if (!(entry.interval_hours > 0) || (last && Date.now() - Date.parse(last.taken_at) < entry.interval_hours * HOUR)) {
+        continue;
+      }
+      try {
+        await requestContext.run({ sessionId: 'rank-scheduler' }, () =>
+          takeRankSnapshot(DEFAULT_API_KEY, entry.domain, entry.country, entry.num, 'scheduled')
+        );
+        console.error(`📈 Took scheduled rank snapshot for ${entry.domain} (${entry.country || 'global'})`);
+      } catch (error) {
+        console.error(`Scheduled rank snapshot for ${entry.domain} failed:`, error.message);
+      }
+    }
+  } finally {
+    rankSchedulerRunning = false;
+  }
+}
+
+function startRankScheduler() {
+  if (!RANK_TRACKING_SCHEDULE) {
+    return;
+  }
+  if (!DEFAULT_API_KEY) {
+    console.warn('⚠️ RANK_TRACKING_SCHEDULE needs KEYWORDS_EVERYWHERE_API_KEY; scheduled rank snapshots are off.');
+    return;
+  }
+  console.error(`📈 Rank tracking scheduler checks for due snapshots every ${RANK_TRACKING_CHECK_MINUTES} minutes`);
+  setInterval(runDueRankSnapshots, RANK_TRACKING_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+// The get_keyword_data endpoint accepts at most 100 kw[] per request
+const KEYWORD_DATA_BATCH_SIZE = 100;
+const MAX_BULK_CONCURRENCY = 5;
+
+// find_questions recursion limit (each level multiplies the API calls)
+const MAX_QUESTION_DEPTH = 3;
+
+// Shared JSON Schema fragments for tool output (field names follow the API docs)
+const CREDITS_CONSUMED_SCHEMA = {
+  type: "integer",
+  description: "Amount of credits consumed by the request"
+};
+
+const CPC_SCHEMA = {
+  type: "object",
+  properties: {
+    currency: { type: "string", description: "Currency symbol of the CPC value" },
+    value: { type: "string", description: "Cost per click value" }
+  }
+};
+
+const TREND_SCHEMA = {
+  type: "array",
+  description: "Search volume over the last 12 months (empty if unavailable)",
+  items: {
+    type: "object",
+    properties: {
+      month: { type: "string" },
+      year: { type: "integer" },
+      value: { type: "integer" }
+    }
+  }
+};
+
+const KEYWORD_DATA_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    keyword: { type: "string" },
+    vol: { type: "integer", description: "Monthly search volume" },
+    cpc: CPC_SCHEMA,
+    competition: { type: "number", description: "Competition metric (0-1)" },
+    trend: TREND_SCHEMA
+  },
+  required: ["keyword"]
+};
+
+const RANKING_KEYWORD_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    keyword: { type: "string" },
+    estimated_monthly_traffic: { type: "integer", description: "Traffic this keyword brings for the selected country" },
+    serp_position: { type: "integer", description: "Position in the SERP for this keyword" }
+  },
+  required: ["keyword"]
+};
+
+const TRAFFIC_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    url: { type: "string" },
+    estimated_monthly_traffic: { type: "integer" },
+    total_ranking_keywords: { type: "integer", description: "Keywords ranking in the top 30 positions" }
+  }
+};
+
+const BACKLINK_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    anchor_text: { type: "string" },
+    domain_source: { type: "string", description: "Domain where the link is placed" },
+    domain_target: { type: "string", description: "Domain being linked" },
+    url_source: { type: "string", description: "URL where the link is placed" },
+    url_target: { type: "string", description: "URL being linked" }
+  }
+};
+
+const CODE_LIST_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      code: { type: "string" },
+      name: { type: "string" }
+    },
+    required: ["code", "name"]
+  }
+};
+
+const KEYWORD_DATA_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: { type: "array", items: KEYWORD_DATA_ITEM_SCHEMA },
+    credits: { type: "integer", description: "Account credit balance after the request" },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+// Failed get_keyword_data_bulk batches, also reported by the tools built on it
+const BULK_ERRORS_SCHEMA = {
+  type: "array",
+  description: "Failed batches, with their keywords so they can be retried",
+  items: {
+    type: "object",
+    properties: {
+      batch: { type: "integer" },
+      keywords: { type: "array", items: { type: "string" } },
+      message: { type: "string" }
+    }
+  }
+};
+
+const INTENTS = ["informational", "navigational", "commercial", "transactional"];
+
+// Search intent modifiers per language. Matched as whole words or phrases.
+const INTENT_MODIFIERS = {
+  en: {
+    transactional: ['buy', 'order', 'purchase', 'price', 'prices', 'pricing', 'cost', 'cheap', 'discount', 'coupon', 'promo code',
+      'deal', 'deals', 'sale', 'for sale', 'shop', 'store', 'near me', 'delivery', 'shipping', 'hire', 'rent', 'booking',
+      'subscribe', 'download', 'quote', 'free trial'],
+    commercial: ['best', 'top', 'review', 'reviews', 'vs', 'versus', 'compare', 'comparison', 'alternative', 'alternatives',
+      'recommended', 'rating', 'ratings', 'cheapest', 'pros and cons', 'worth it'],
+    informational: ['how', 'how to', 'what', 'why', 'when', 'where', 'who', 'which', 'guide',
+      'tutorial', 'tips', 'ideas', 'examples', 'meaning', 'definition', 'learn', 'history', 'benefits', 'symptoms', 'recipe'],
+    navigational: ['login', 'log in', 'sign in', 'website', 'official', 'official site', 'contact', 'customer service',
+      'account', 'homepage']
+  },
+  ms: {
+    transactional: ['beli', 'harga', 'murah', 'jual', 'dijual', 'diskaun', 'promosi', 'tawaran', 'kedai', 'tempah', 'tempahan',
+      'sewa', 'pesan', 'penghantaran', 'berhampiran', 'dekat saya', 'muat turun'],
+    commercial: ['terbaik', 'ulasan', 'review', 'banding', 'perbandingan', 'bagus', 'cadangan', 'berbaloi', 'paling murah'],
+    informational: ['cara', 'apa', 'apakah', 'bagaimana', 'kenapa', 'mengapa', 'bila', 'siapa', 'di mana', 'maksud',
+      'panduan', 'tips', 'contoh', 'sejarah', 'manfaat', 'kelebihan', 'resepi', 'punca'],
+    navigational: ['log masuk', 'laman rasmi', 'rasmi', 'hubungi', 'akaun', 'aplikasi']
+  }
+};
+
+const INCLUDE_INTENT_SCHEMA = {
+  type: "boolean",
+  description: "Return each keyword as { keyword, intent } labelled with its search intent (informational, navigational, commercial, transactional)",
+  default: false
+};
+
+const KEYWORD_LIST_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: {
+      type: "array",
+      items: {
+        anyOf: [
+          { type: "string" },
+          {
+            type: "object",
+            description: "Keyword with its search intent (with includeIntent)",
+            properties: {
+              keyword: { type: "string" },
+              intent: { type: "string", enum: INTENTS }
+            },
+            required: ["keyword", "intent"]
+          }
+        ]
+      }
+    },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const INTENT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          keyword: { type: "string" },
+          intent: { type: "string", enum: INTENTS },
+          confidence: { type: "string", enum: ["high", "medium", "low"], description: "low: no modifier matched and the default was used" },
+          signals: { type: "array", items: { type: "string" }, description: "Matched modifiers, as intent:modifier" }
+        },
+        required: ["keyword", "intent"]
+      }
+    },
+    summary: {
+      type: "object",
+      description: "Keywords per intent",
+      properties: Object.fromEntries(INTENTS.map(intent => [intent, { type: "integer" }]))
+    }
+  },
+  required: ["data"]
+};
+
+const KEYWORD_CLUSTERS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    seed: { type: "string" },
+    keywords_total: { type: "integer", description: "Terms clustered after deduplication" },
+    clusters: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          head: { type: "string", description: "Highest-volume term in the cluster" },
+          total_volume: { type: "integer", description: "Combined monthly search volume of terms with known volume" },
+          avg_cpc: { type: "number", description: "Average CPC of terms with CPC data" },
+          currency: { type: "string", description: "Currency symbol of the CPC values" },
+          keywords: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                keyword: { type: "string" },
+                vol: { type: "integer", description: "Monthly search volume (omitted if the term's batch failed)" },
+                cpc: { type: "number" }
+              },
+              required: ["keyword"]
+            }
+          }
+        },
+        required: ["head", "keywords"]
+      }
+    },
+    errors: BULK_ERRORS_SCHEMA,
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["clusters"]
+};
+
+const MINED_KEYWORD_SCHEMA = {
+  type: "object",
+  properties: {
+    keyword: { type: "string" },
+    vol: { type: "integer", description: "Monthly search volume (omitted if not fetched within the credit cap, or its batch failed)" },
+    depth: { type: "integer", description: "Expansion level the term was found at" }
+  },
+  required: ["keyword"]
+};
+
+const QUESTIONS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    seed: { type: "string" },
+    depth_reached: { type: "integer" },
+    expansions: { type: "integer", description: "Terms expanded through related and PASF keywords" },
+    terms_found: { type: "integer", description: "Unique terms discovered" },
+    truncated: { type: "boolean", description: "The credit cap stopped expansion or volume lookups early" },
+    questions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          question_word: { type: "string" },
+          keywords: { type: "array", items: MINED_KEYWORD_SCHEMA }
+        },
+        required: ["question_word", "keywords"]
+      }
+    },
+    long_tail: { type: "array", items: MINED_KEYWORD_SCHEMA },
+    errors: BULK_ERRORS_SCHEMA,
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["seed", "questions", "long_tail"]
+};
+
+const TREND_MONTH_SCHEMA = {
+  type: "object",
+  properties: {
+    month: { type: "string" },
+    year: { type: "integer" },
+    value: { type: "integer" }
+  }
+};
+
+const KEYWORD_TRENDS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          keyword: { type: "string" },
+          vol: { type: "integer", description: "Monthly search volume" },
+          months: { type: "integer", description: "Months of trend data available" },
+          classification: { type: "string", enum: ["rising", "declining", "stable", "no_data"] },
+          yoy_growth: { type: "number", description: "Percent change of the latest month vs. the same month a year earlier; null when that month isn't in the trend data (the API's usual 12 months)" },
+          growth_3m: { type: "number", description: "Percent change of the last 3 months' average vs. the 3 months before" },
+          peak: TREND_MONTH_SCHEMA,
+          trough: TREND_MONTH_SCHEMA,
+          seasonality_index: { type: "number", description: "Peak month volume divided by the average month (1 = flat)" },
+          sparkline: { type: "string" }
+        },
+        required: ["keyword", "classification"]
+      }
+    },
+    errors: BULK_ERRORS_SCHEMA,
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const KEYWORD_SCORES_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    weights: {
       type: "object",
       properties: {
-        domain: {
-          type: "string",
-          description: "Domain to analyze (e.g., example.com)"
+        volume: { type: "number" },
+        competition: { type: "number" },
+        cpc: { type: "number" }
+      }
+    },
+    data: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          rank: { type: "integer" },
+          keyword: { type: "string" },
+          score: { type: "number", description: "Opportunity score (0-100, plus any quick-win bonus)" },
+          vol: { type: "integer" },
+          competition: { type: "number" },
+          cpc: { type: "number" },
+          serp_position: { type: "integer", description: "Your domain's current position, if it ranks" },
+          quick_win: { type: "boolean", description: "Your domain ranks in positions 4-20" },
+          breakdown: {
+            type: "object",
+            description: "Points each signal contributed to the score",
+            properties: {
+              volume: { type: "number" },
+              competition: { type: "number" },
+              cpc: { type: "number" },
+              quick_win: { type: "number" }
+            }
+          }
         },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["domain"]
+        required: ["rank", "keyword", "score"]
+      }
+    },
+    errors: BULK_ERRORS_SCHEMA,
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const RANKING_KEYWORDS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: { type: "array", items: RANKING_KEYWORD_ITEM_SCHEMA },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const TRAFFIC_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: { type: "array", items: TRAFFIC_ITEM_SCHEMA },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const TRAFFIC_COMPARISON_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    field: { type: "string", description: "Name of the compared field: 'domain' or 'url'" },
+    data: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          ...TRAFFIC_ITEM_SCHEMA.properties,
+          rank: { type: "integer" },
+          traffic_share: { type: "number", description: "Percentage of the combined estimated traffic" },
+          keyword_share: { type: "number", description: "Percentage of the combined ranking keywords" }
+        },
+        required: ["rank"]
+      }
+    },
+    total_traffic: { type: "integer" },
+    total_ranking_keywords: { type: "integer" },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const KEYWORD_GAP_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    keyword: { type: "string" },
+    estimated_monthly_traffic: { type: "integer", description: "Highest traffic any compared domain gets from this keyword" },
+    serp_position: { type: "integer", description: "Your position (omitted if you don't rank)" },
+    best_competitor: { type: "string", description: "Best-ranking competitor" },
+    best_competitor_position: { type: "integer" },
+    positions: {
+      type: "array",
+      description: "Every compared domain that ranks for the keyword",
+      items: {
+        type: "object",
+        properties: {
+          domain: { type: "string" },
+          serp_position: { type: "integer" },
+          estimated_monthly_traffic: { type: "integer" }
+        },
+        required: ["domain"]
+      }
+    }
+  },
+  required: ["keyword"]
+};
+
+const KEYWORD_GAP_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    competitors: { type: "array", items: { type: "string" }, description: "Competitors whose keywords were compared" },
+    missing: { type: "array", items: KEYWORD_GAP_ITEM_SCHEMA, description: "Competitors rank, you don't" },
+    weaker: { type: "array", items: KEYWORD_GAP_ITEM_SCHEMA, description: "A competitor ranks better than you" },
+    shared: { type: "array", items: KEYWORD_GAP_ITEM_SCHEMA, description: "Every domain ranks" },
+    totals: {
+      type: "object",
+      description: "Full size of each category before the limit is applied",
+      properties: {
+        missing: { type: "integer" },
+        weaker: { type: "integer" },
+        shared: { type: "integer" }
+      }
+    },
+    errors: {
+      type: "array",
+      description: "Competitors whose keywords could not be fetched",
+      items: {
+        type: "object",
+        properties: {
+          domain: { type: "string" },
+          message: { type: "string" }
+        }
+      }
+    },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["domain", "missing", "weaker", "shared"]
+};
+
+const BACKLINK_INTERSECT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    competitors: { type: "array", items: { type: "string" }, description: "Competitors whose backlinks were compared" },
+    min_competitors: { type: "integer" },
+    data: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          domain_source: { type: "string", description: "Referring domain" },
+          competitor_count: { type: "integer" },
+          competitors: { type: "array", items: { type: "string" }, description: "Competitors it links to" },
+          samples: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                competitor: { type: "string" },
+                anchor_text: { type: "string" },
+                url_source: { type: "string" },
+                url_target: { type: "string" }
+              }
+            }
+          }
+        },
+        required: ["domain_source", "competitors"]
+      }
+    },
+    total: { type: "integer", description: "Matching referring domains before the limit is applied" },
+    errors: KEYWORD_GAP_OUTPUT_SCHEMA.properties.errors,
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["domain", "data"]
+};
+
+const ANCHOR_TEXT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    target: { type: "string", description: "Analyzed domain or URL" },
+    total_links: { type: "integer" },
+    distribution: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          category: { type: "string", enum: ["exact", "partial", "branded", "naked_url", "generic", "empty", "other"] },
+          count: { type: "integer" },
+          percentage: { type: "number" }
+        },
+        required: ["category", "count"]
+      }
+    },
+    top_anchors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          anchor_text: { type: "string" },
+          category: { type: "string" },
+          count: { type: "integer" }
+        }
+      }
+    },
+    warnings: { type: "array", items: { type: "string" } },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["target", "distribution", "warnings"]
+};
+
+const TRACKED_DOMAIN_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    country: { type: "string", description: "Country code (empty for Global)" },
+    num: { type: "integer", description: "Ranking keywords fetched per snapshot" },
+    interval_hours: { type: "number", description: "Hours between scheduled snapshots (0 = manual only)" },
+    added_at: { type: "string" },
+    snapshots: { type: "integer", description: "Snapshots stored" },
+    last_snapshot_at: { type: "string" },
+    scheduled: { type: "boolean", description: "Whether this server takes snapshots on a schedule for this domain" },
+    next_snapshot_at: { type: "string" }
+  },
+  required: ["domain", "country"]
+};
+
+const RANK_SNAPSHOT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    country: { type: "string" },
+    taken_at: { type: "string" },
+    num: { type: "integer" },
+    total_traffic: { type: "integer", description: "Estimated monthly traffic summed over the snapshot's keywords" },
+    snapshots: { type: "integer", description: "Snapshots now stored for this domain and country" },
+    data: { type: "array", items: RANKING_KEYWORD_ITEM_SCHEMA },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["domain", "taken_at", "data"]
+};
+
+const RANK_MOVE_SCHEMA = {
+  type: "object",
+  properties: {
+    keyword: { type: "string" },
+    from_position: { type: "integer" },
+    to_position: { type: "integer" },
+    change: { type: "integer", description: "Positions moved (positive = up)" },
+    traffic_change: { type: "integer", description: "Change in estimated monthly traffic" }
+  },
+  required: ["keyword"]
+};
+
+const RANK_CHANGES_SNAPSHOT_SCHEMA = {
+  type: "object",
+  properties: {
+    taken_at: { type: "string" },
+    num: { type: "integer" },
+    keywords: { type: "integer", description: "Ranking keywords in the snapshot" }
+  }
+};
+
+const RANK_CHANGES_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    domain: { type: "string" },
+    country: { type: "string" },
+    from: RANK_CHANGES_SNAPSHOT_SCHEMA,
+    to: RANK_CHANGES_SNAPSHOT_SCHEMA,
+    summary: {
+      type: "object",
+      description: "Full counts per change type (the lists below are capped at limit)",
+      properties: {
+        gained: { type: "integer" },
+        lost: { type: "integer" },
+        improved: { type: "integer" },
+        declined: { type: "integer" },
+        unchanged: { type: "integer" }
+      }
+    },
+    traffic: {
+      type: "object",
+      description: "Estimated monthly traffic summed over each snapshot's keywords",
+      properties: {
+        from: { type: "integer" },
+        to: { type: "integer" },
+        change: { type: "integer" },
+        change_percent: { type: "number" }
+      }
+    },
+    gained: { type: "array", description: "Keywords new in the later snapshot", items: RANKING_KEYWORD_ITEM_SCHEMA },
+    lost: { type: "array", description: "Keywords missing from the later snapshot", items: RANKING_KEYWORD_ITEM_SCHEMA },
+    improved: { type: "array", items: RANK_MOVE_SCHEMA },
+    declined: { type: "array", items: RANK_MOVE_SCHEMA }
+  },
+  required: ["domain", "from", "to", "summary", "traffic", "gained", "lost", "improved", "declined"]
+};
+
+const BACKLINKS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    data: { type: "array", items: BACKLINK_ITEM_SCHEMA },
+    credits_consumed: CREDITS_CONSUMED_SCHEMA
+  },
+  required: ["data"]
+};
+
+const BUDGET_SCHEMA = {
+  type: "object",
+  properties: {
+    spent: { type: "integer", description: "Credits spent" },
+    limit: { type: "integer", description: "Budget in credits (omitted when unlimited)" },
+    remaining: { type: "integer", description: "Credits left in the budget (omitted when unlimited)" }
+  },
+  required: ["spent"]
+};
+
+const PROJECT_TOOLS = ["create_project", "add_to_project", "list_projects", "get_project"];
+const RANK_TRACKING_TOOLS = ["track_domain", "untrack_domain", "list_tracked_domains"];
+
+// Tools that never call cacheable endpoints (take_rank_snapshot always fetches fresh data)
+const UNCACHED_TOOLS = new Set(["get_credits", "get_budget_status", "classify_intent", ...PROJECT_TOOLS, ...RANK_TRACKING_TOOLS, "take_rank_snapshot", "rank_changes"]);
+
+// Tools without a result table to export
+const NON_EXPORTABLE_TOOLS = new Set(["get_credits", "get_budget_status", ...PROJECT_TOOLS, ...RANK_TRACKING_TOOLS]);
+
+// Added to every other tool
+const BYPASS_CACHE_SCHEMA = {
+  type: "boolean",
+  description: "Skip the response cache and fetch fresh data from the API (spends credits)",
+  default: false
+};
+
+// Added to every tool with tabular results
+const EXPORT_INPUT_PROPERTIES = {
+  format: {
+    type: "string",
+    enum: EXPORT_FORMATS,
+    description: "Output format: 'text' (readable summary), 'markdown_table', 'csv', 'tsv' (pastes into Excel/Sheets) or 'jsonl'",
+    default: "text"
+  },
+  saveToFile: {
+    type: "boolean",
+    description: "Write the output to the server's export directory and return its path instead of the content",
+    default: false
+  }
+};
+
+const EXPORT_SCHEMA = {
+  type: "object",
+  description: "Saved export file (with saveToFile)",
+  properties: {
+    format: { type: "string" },
+    rows: { type: "integer" },
+    path: { type: "string", description: "File path on the server (STDIO transport only)" },
+    download_path: { type: "string", description: "HTTP path to download the file from this server (HTTP transport only)" }
+  }
+};
+
+// Added to every tool listed in PROJECT_SOURCES
+const SAVE_TO_PROJECT_SCHEMA = {
+  type: "string",
+  description: "Name of a project (see create_project) to save the results to"
+};
+
+const PROJECT_SAVE_SCHEMA = {
+  type: "object",
+  description: "What was saved to the project (with saveToProject)",
+  properties: {
+    project: { type: "string" },
+    collection: { type: "string", enum: PROJECT_COLLECTIONS },
+    items: { type: "integer", description: "Result items saved" },
+    added: { type: "integer", description: "Keywords new to the project (keywords collection only)" }
+  }
+};
+
+const PROJECT_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", description: "Project name, also used in project:// resource URIs" },
+    description: { type: "string" },
+    created_at: { type: "string" },
+    updated_at: { type: "string" },
+    keywords: { type: "integer", description: "Keywords in the project" },
+    rankings: { type: "integer", description: "Ranking snapshots" },
+    backlinks: { type: "integer", description: "Backlink snapshots" }
+  },
+  required: ["name", "keywords", "rankings", "backlinks"]
+};
+
+const PROJECT_SNAPSHOT_SCHEMA = {
+  type: "object",
+  properties: {
+    target: { type: "string", description: "Domain or URL the snapshot is for" },
+    country: { type: "string" },
+    source: { type: "string", description: "Tool the results came from" },
+    saved_at: { type: "string" },
+    data: { type: "array", items: { type: "object" } }
+  },
+  required: ["saved_at", "data"]
+};
+
+const PROJECT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    created_at: { type: "string" },
+    updated_at: { type: "string" },
+    keywords: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          keyword: { type: "string" },
+          source: { type: "string" },
+          added_at: { type: "string" },
+          updated_at: { type: "string" }
+        },
+        required: ["keyword"]
+      }
+    },
+    rankings: { type: "array", items: PROJECT_SNAPSHOT_SCHEMA },
+    backlinks: { type: "array", items: PROJECT_SNAPSHOT_SCHEMA }
+  },
+  required: ["name"]
+};
+
+const CACHE_USAGE_SCHEMA = {
+  type: "object",
+  description: "Response cache usage for this call",
+  properties: {
+    hits: { type: "integer", description: "API responses served from the cache" },
+    api_calls: { type: "integer", description: "Requests sent to the API" },
+    credits_saved: { type: "integer", description: "Credits the cached responses would have cost" }
+  }
+};
+
+const TOOLS = {
+  // Account
+  get_credits: {
+    name: "get_credits",
+    description: "Get your account's credit balance",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        credits: { type: "integer", description: "Account credit balance" }
+      },
+      required: ["credits"]
+    }
+  },
+
+  get_budget_status: {
+    name: "get_budget_status",
+    description: "Get credits spent today and in this session against the server's credit budgets",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        date: { type: "string", description: "Budget day (UTC, YYYY-MM-DD)" },
+        daily: BUDGET_SCHEMA,
+        session: BUDGET_SCHEMA
+      },
+      required: ["date", "daily", "session"]
+    }
+  },
+
+  // Countries and Currencies
+  get_countries: {
+    name: "get_countries",
+    description: "Get list of supported countries",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        countries: CODE_LIST_SCHEMA
+      },
+      required: ["countries"]
+    }
+  },
+
+  get_currencies: {
+    name: "get_currencies",
+    description: "Get list of supported currencies",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        currencies: CODE_LIST_SCHEMA
+      },
+      required: ["currencies"]
+    }
+  },
+
+  // Keyword Data
+  get_keyword_data: {
+    name: "get_keyword_data",
+    description: "Get Volume, CPC and competition for a set of keywords",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keywords: { 
+          type: "array",
+          items: { type: "string" },
+          description: "List of keywords to analyze"
+        },
+        country: { 
+          type: "string", 
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        },
+        dataSource: {
+          type: "string",
+          enum: ["gkp", "cli"],
+          description: "'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data",
+          default: "cli"
+        }
+      },
+      required: ["keywords"]
+    },
+    outputSchema: KEYWORD_DATA_OUTPUT_SCHEMA
+  },
+
+  get_keyword_data_bulk: {
+    name: "get_keyword_data_bulk",
+    description: "Get Volume, CPC and competition for large keyword lists (deduplicated and split into 100-keyword batches)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "List of keywords to analyze (any size; duplicates are removed)"
+        },
+        country: { 
+          type: "string", 
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        },
+        dataSource: {
+          type: "string",
+          enum: ["gkp", "cli"],
+          description: "'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data",
+          default: "cli"
+        },
+        concurrency: {
+          type: "integer",
+          description: `Number of batches to request in parallel (max ${MAX_BULK_CONCURRENCY})`,
+          default: 3
+        }
+      },
+      required: ["keywords"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        ...KEYWORD_DATA_OUTPUT_SCHEMA.properties,
+        keywords_requested: { type: "integer" },
+        keywords_unique: { type: "integer" },
+        batches: {
+          type: "object",
+          properties: {
+            total: { type: "integer" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" }
+          }
+        },
+        errors: BULK_ERRORS_SCHEMA
+      },
+      required: ["data"]
+    }
+  },
+
+  // Related Keywords
+  get_related_keywords: {
+    name: "get_related_keywords",
+    description: "Get related keywords based on a seed keyword",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keyword: {
+          type: "string",
+          description: "Seed keyword to find related terms for"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        },
+        includeIntent: INCLUDE_INTENT_SCHEMA
+      },
+      required: ["keyword"]
+    },
+    outputSchema: KEYWORD_LIST_OUTPUT_SCHEMA
+  },
+
+  // People Also Search For
+  get_pasf_keywords: {
+    name: "get_pasf_keywords",
+    description: "Get 'People Also Search For' keywords based on a seed keyword",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keyword: {
+          type: "string",
+          description: "Seed keyword to find PASF terms for"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        },
+        includeIntent: INCLUDE_INTENT_SCHEMA
+      },
+      required: ["keyword"]
+    },
+    outputSchema: KEYWORD_LIST_OUTPUT_SCHEMA
+  },
+
+  // Keyword Clustering
+  cluster_keywords: {
+    name: "cluster_keywords",
+    description: "Expand a seed keyword through related and PASF keywords (or take a list of terms), add search volume and CPC, and group the terms into topical clusters",
+    inputSchema: {
+      type: "object",
+      properties: {
+        seed: {
+          type: "string",
+          description: "Seed keyword to expand through related and PASF keywords"
+        },
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Explicit terms to cluster (added to the seed expansion, if any)"
+        },
+        num: {
+          type: "integer",
+          description: "Related and PASF results to fetch for the seed (each)",
+          default: 20
+        },
+        similarity: {
+          type: "number",
+          description: "Minimum lexical similarity (0-1) for a term to join a cluster; higher gives smaller, tighter clusters",
+          default: 0.35
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        },
+        dataSource: {
+          type: "string",
+          enum: ["gkp", "cli"],
+          description: "'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data",
+          default: "cli"
+        }
+      }
+    },
+    outputSchema: KEYWORD_CLUSTERS_OUTPUT_SCHEMA
+  },
+
+  find_questions: {
+    name: "find_questions",
+    description: "Mine question-form (who/what/how/cara/apa...) and long-tail keywords by recursively expanding a seed through related and PASF keywords, grouped by question word and enriched with search volume",
+    inputSchema: {
+      type: "object",
+      properties: {
+        seed: {
+          type: "string",
+          description: "Seed keyword"
+        },
+        depth: {
+          type: "integer",
+          description: `Expansion levels: 1 expands the seed only, 2 also expands its results (max ${MAX_QUESTION_DEPTH})`,
+          default: 2
+        },
+        num: {
+          type: "integer",
+          description: "Related and PASF results per expansion (each)",
+          default: 10
+        },
+        maxCredits: {
+          type: "integer",
+          description: "Credit cap for the whole run; expansion stops before it would be exceeded",
+          default: 200
+        },
+        minWords: {
+          type: "integer",
+          description: "Minimum words for a non-question term to count as long-tail",
+          default: 4
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        }
+      },
+      required: ["seed"]
+    },
+    outputSchema: QUESTIONS_OUTPUT_SCHEMA
+  },
+
+  analyze_keyword_trends: {
+    name: "analyze_keyword_trends",
+    description: "Analyze the 12-month search volume trend of keywords: year-over-year and 3-month growth, peak and trough months, seasonality and a rising/declining/stable classification, with a sparkline per keyword",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Keywords to analyze"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        },
+        dataSource: {
+          type: "string",
+          enum: ["gkp", "cli"],
+          description: "'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data",
+          default: "cli"
+        }
+      },
+      required: ["keywords"]
+    },
+    outputSchema: KEYWORD_TRENDS_OUTPUT_SCHEMA
+  },
+
+  score_keywords: {
+    name: "score_keywords",
+    description: "Rank keywords by an opportunity score built from search volume, competition and CPC, optionally flagging quick wins where your domain already ranks in positions 4-20",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Keywords to score"
+        },
+        domain: {
+          type: "string",
+          description: "Your domain; its current SERP positions are used to flag quick wins"
+        },
+        weights: {
+          type: "object",
+          description: "Relative weight of each signal in the score",
+          properties: {
+            volume: { type: "number", description: "Search volume (log scale)", default: 0.5 },
+            competition: { type: "number", description: "Low competition", default: 0.3 },
+            cpc: { type: "number", description: "CPC as a commercial-value signal, relative to the highest CPC in the list", default: 0.2 }
+          },
+          default: { volume: 0.5, competition: 0.3, cpc: 0.2 }
+        },
+        quickWinBonus: {
+          type: "number",
+          description: "Points added to the score of quick wins",
+          default: 10
+        },
+        num: {
+          type: "integer",
+          description: "Ranking keywords to fetch for the domain (2 credits each)",
+          default: 100
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        currency: {
+          type: "string",
+          description: "Currency code (e.g., 'myr' for Malaysian Ringgit)",
+          default: DEFAULT_CURRENCY
+        },
+        dataSource: {
+          type: "string",
+          enum: ["gkp", "cli"],
+          description: "'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data",
+          default: "cli"
+        }
+      },
+      required: ["keywords"]
+    },
+    outputSchema: KEYWORD_SCORES_OUTPUT_SCHEMA
+  },
+
+  classify_intent: {
+    name: "classify_intent",
+    description: "Label keywords as informational, navigational, commercial or transactional using local modifier rules (English and Malay). No API call, no credits",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Keywords to classify (e.g. output of any keyword tool)"
+        },
+        brandTerms: {
+          type: "array",
+          items: { type: "string" },
+          description: "Brand or site names that signal navigational intent"
+        },
+        languages: {
+          type: "array",
+          items: { type: "string", enum: Object.keys(INTENT_MODIFIERS) },
+          description: "Modifier dictionaries to use: 'en' (English), 'ms' (Malay)",
+          default: Object.keys(INTENT_MODIFIERS)
+        }
+      },
+      required: ["keywords"]
+    },
+    outputSchema: INTENT_OUTPUT_SCHEMA
+  },
+
+  // Domain Keywords
+  get_domain_keywords: {
+    name: "get_domain_keywords",
+    description: "Get keywords that a domain ranks for",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to analyze (e.g., example.com)"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: RANKING_KEYWORDS_OUTPUT_SCHEMA
+  },
+
+  // URL Keywords
+  get_url_keywords: {
+    name: "get_url_keywords",
+    description: "Get keywords that a URL ranks for",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL to analyze"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["url"]
+    },
+    outputSchema: RANKING_KEYWORDS_OUTPUT_SCHEMA
+  },
+
+  // Traffic Metrics
+  get_domain_traffic: {
+    name: "get_domain_traffic",
+    description: "Get traffic metrics for a domain",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to analyze (e.g., example.com)"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: TRAFFIC_OUTPUT_SCHEMA
+  },
+
+  get_url_traffic: {
+    name: "get_url_traffic",
+    description: "Get traffic metrics for a URL",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL to analyze"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        }
+      },
+      required: ["url"]
+    },
+    outputSchema: TRAFFIC_OUTPUT_SCHEMA
+  },
+
+  compare_domain_traffic: {
+    name: "compare_domain_traffic",
+    description: "Compare traffic metrics for several domains in one call, ranked with share-of-traffic percentages",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domains: {
+          type: "array",
+          items: { type: "string" },
+          description: "Domains to compare, e.g. your site followed by competitors (e.g., example.com)"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        }
+      },
+      required: ["domains"]
+    },
+    outputSchema: TRAFFIC_COMPARISON_OUTPUT_SCHEMA
+  },
+
+  compare_url_traffic: {
+    name: "compare_url_traffic",
+    description: "Compare traffic metrics for several URLs in one call, ranked with share-of-traffic percentages",
+    inputSchema: {
+      type: "object",
+      properties: {
+        urls: {
+          type: "array",
+          items: { type: "string" },
+          description: "URLs to compare"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        }
+      },
+      required: ["urls"]
+    },
+    outputSchema: TRAFFIC_COMPARISON_OUTPUT_SCHEMA
+  },
+
+  keyword_gap: {
+    name: "keyword_gap",
+    description: "Compare the ranking keywords of a domain against competitors: keywords only competitors rank for, keywords where a competitor outranks you, and keywords every domain shares",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Your domain"
+        },
+        competitors: {
+          type: "array",
+          items: { type: "string" },
+          description: "Competitor domains"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        num: {
+          type: "integer",
+          description: "Ranking keywords to fetch per domain (2 credits each)",
+          default: 100
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum keywords to list per gap category",
+          default: 50
+        }
+      },
+      required: ["domain", "competitors"]
+    },
+    outputSchema: KEYWORD_GAP_OUTPUT_SCHEMA
+  },
+
+  // Rank Tracking (snapshots are stored locally)
+  track_domain: {
+    name: "track_domain",
+    description: "Track a domain's ranking keywords in a country. Tracked domains get dated snapshots on a schedule (when the server enables it) or via take_rank_snapshot; compare them with rank_changes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to track"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        num: {
+          type: "integer",
+          description: "Ranking keywords per snapshot (2 credits each)",
+          default: 100
+        },
+        intervalHours: {
+          type: "number",
+          description: "Hours between scheduled snapshots; 0 for manual snapshots only",
+          default: 24
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: TRACKED_DOMAIN_SCHEMA
+  },
+
+  untrack_domain: {
+    name: "untrack_domain",
+    description: "Stop tracking a domain in a country. Its stored snapshots are kept for rank_changes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Tracked domain"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        domain: { type: "string" },
+        country: { type: "string" },
+        removed: { type: "boolean", description: "Whether the domain was being tracked" },
+        snapshots: { type: "integer", description: "Snapshots kept" }
+      },
+      required: ["domain", "country", "removed"]
+    }
+  },
+
+  list_tracked_domains: {
+    name: "list_tracked_domains",
+    description: "List tracked domains with their snapshot counts and schedules",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        tracked: { type: "array", items: TRACKED_DOMAIN_SCHEMA }
+      },
+      required: ["tracked"]
+    }
+  },
+
+  take_rank_snapshot: {
+    name: "take_rank_snapshot",
+    description: "Fetch a domain's ranking keywords now and store them as a dated snapshot (always fresh data, 2 credits per keyword)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to snapshot (doesn't need to be tracked)"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        num: {
+          type: "integer",
+          description: "Ranking keywords to fetch (default: the tracked setting, or 100). Use the same value for snapshots you want to compare"
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: RANK_SNAPSHOT_OUTPUT_SCHEMA
+  },
+
+  rank_changes: {
+    name: "rank_changes",
+    description: "Compare two stored rank snapshots of a domain: keywords gained and lost, position improvements and drops, and the traffic change. Defaults to the two latest snapshots",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to compare"
+        },
+        country: {
+          type: "string",
+          description: "Country code (empty string for Global, 'us' for United States, etc.)",
+          default: DEFAULT_COUNTRY
+        },
+        from: {
+          type: "string",
+          description: "Earlier snapshot: a date (YYYY-MM-DD, latest snapshot that day or before) or a snapshot's taken_at. Default: the snapshot before 'to'"
+        },
+        to: {
+          type: "string",
+          description: "Later snapshot, same format. Default: the latest snapshot"
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum keywords to list per change type",
+          default: 20
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: RANK_CHANGES_OUTPUT_SCHEMA
+  },
+
+  // Backlinks
+  get_domain_backlinks: {
+    name: "get_domain_backlinks",
+    description: "Get backlinks for a domain",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to analyze (e.g., example.com)"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: BACKLINKS_OUTPUT_SCHEMA
+  },
+
+  get_unique_domain_backlinks: {
+    name: "get_unique_domain_backlinks",
+    description: "Get unique domain backlinks",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to analyze (e.g., example.com)"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["domain"]
+    },
+    outputSchema: BACKLINKS_OUTPUT_SCHEMA
+  },
+
+  get_page_backlinks: {
+    name: "get_page_backlinks",
+    description: "Get backlinks for a specific URL",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL to analyze"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["url"]
+    },
+    outputSchema: BACKLINKS_OUTPUT_SCHEMA
+  },
+
+  get_unique_page_backlinks: {
+    name: "get_unique_page_backlinks",
+    description: "Get unique backlinks for a specific URL",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL to analyze"
+        },
+        num: {
+          type: "integer",
+          description: "Number of results to return (max 1000)",
+          default: 10
+        }
+      },
+      required: ["url"]
+    },
+    outputSchema: BACKLINKS_OUTPUT_SCHEMA
+  },
+
+  backlink_intersect: {
+    name: "backlink_intersect",
+    description: "Find referring domains that link to at least K competitors but not to your domain, with sample anchor texts and target URLs (for link outreach)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Your domain"
+        },
+        competitors: {
+          type: "array",
+          items: { type: "string" },
+          description: "Competitor domains"
+        },
+        minCompetitors: {
+          type: "integer",
+          description: "Minimum number of competitors a referring domain must link to (K)",
+          default: 2
+        },
+        num: {
+          type: "integer",
+          description: "Unique backlinks to fetch per domain (5 credits each). Only these are compared, so a referring domain outside your top results may still link to you",
+          default: 50
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum referring domains to list",
+          default: 50
+        }
+      },
+      required: ["domain", "competitors"]
+    },
+    outputSchema: BACKLINK_INTERSECT_OUTPUT_SCHEMA
+  },
+
+  analyze_anchor_text: {
+    name: "analyze_anchor_text",
+    description: "Classify the anchor texts of a domain's or page's backlinks (exact-match, partial, branded, naked URL, generic) and warn about over-optimized anchor profiles",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to analyze (use this or url)"
+        },
+        url: {
+          type: "string",
+          description: "Page URL to analyze (use this or domain)"
+        },
+        brandTerms: {
+          type: "array",
+          items: { type: "string" },
+          description: "Brand names; defaults to the domain name (e.g. 'example' for example.com)"
+        },
+        targetKeywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Keywords the site wants to rank for, used to detect exact and partial matches"
+        },
+        num: {
+          type: "integer",
+          description: "Number of backlinks to analyze (1 credit each)",
+          default: 100
+        }
+      }
+    },
+    outputSchema: ANCHOR_TEXT_OUTPUT_SCHEMA
+  },
+
+  // Project Workspaces (local, no API calls)
+  create_project: {
+    name: "create_project",
+    description: "Create a named project to keep keyword research, ranking and backlink snapshots across chat sessions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Project name, e.g. 'acme' (lowercased, spaces become dashes)"
+        },
+        description: {
+          type: "string",
+          description: "What the project is for"
+        }
+      },
+      required: ["name"]
+    },
+    outputSchema: PROJECT_SUMMARY_SCHEMA
+  },
+
+  add_to_project: {
+    name: "add_to_project",
+    description: "Add keywords, or a ranking or backlink snapshot, to a project. Tool results can also be saved directly with their saveToProject argument.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: {
+          type: "string",
+          description: "Project name"
+        },
+        collection: {
+          type: "string",
+          enum: PROJECT_COLLECTIONS,
+          description: "'keywords' (merged into the project's keyword list), 'rankings' or 'backlinks' (saved as a dated snapshot)",
+          default: "keywords"
+        },
+        keywords: {
+          type: "array",
+          items: { type: "string" },
+          description: "Keywords to add (keywords collection)"
+        },
+        items: {
+          type: "array",
+          items: { type: "object" },
+          description: "Result items, e.g. keyword metrics with a 'keyword' field, or ranking keywords/backlinks for a snapshot"
+        },
+        target: {
+          type: "string",
+          description: "Domain or URL a rankings/backlinks snapshot is for"
+        }
+      },
+      required: ["project"]
+    },
+    outputSchema: PROJECT_SAVE_SCHEMA
+  },
+
+  list_projects: {
+    name: "list_projects",
+    description: "List your projects with the number of saved keywords and snapshots",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        projects: { type: "array", items: PROJECT_SUMMARY_SCHEMA }
+      },
+      required: ["projects"]
+    }
+  },
+
+  get_project: {
+    name: "get_project",
+    description: "Get a project's saved keywords and ranking/backlink snapshots",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: {
+          type: "string",
+          description: "Project name"
+        },
+        collection: {
+          type: "string",
+          enum: PROJECT_COLLECTIONS,
+          description: "Only return this collection (default: all)"
+        }
+      },
+      required: ["project"]
+    },
+    outputSchema: PROJECT_OUTPUT_SCHEMA
+  }
+};
+
+Object.values(TOOLS).forEach(tool => {
+  if (!UNCACHED_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties.bypassCache = BYPASS_CACHE_SCHEMA;
+    tool.outputSchema = {
+      ...tool.outputSchema,
+      properties: { ...tool.outputSchema.properties, cache: CACHE_USAGE_SCHEMA }
+    };
+  }
+  if (PROJECT_SOURCES[tool.name]) {
+    tool.inputSchema.properties.saveToProject = SAVE_TO_PROJECT_SCHEMA;
+    tool.outputSchema = {
+      ...tool.outputSchema,
+      properties: { ...tool.outputSchema.properties, project: PROJECT_SAVE_SCHEMA }
+    };
+  }
+  if (!NON_EXPORTABLE_TOOLS.has(tool.name)) {
+    Object.assign(tool.inputSchema.properties, EXPORT_INPUT_PROPERTIES);
+    tool.outputSchema = {
+      ...tool.outputSchema,
+      properties: { ...tool.outputSchema.properties, export: EXPORT_SCHEMA }
+    };
+  }
+});
+
+// ============================================================================
+// Prompts
+// ============================================================================
+// Guided SEO workflows for the slash menu of clients like Claude Desktop and
+// Cursor. Each prompt asks the model to run the existing tools in order and
+// write up the results; the prompt itself spends no credits.
+
+// Prompt arguments are strings, so lists arrive comma- or newline-separated
+function promptList(value) {
+  return String(value || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+function promptCountry(country) {
+  const code = (country ?? DEFAULT_COUNTRY).trim().toLowerCase();
+  return {
+    code,
+    label: code ? `country "${code}"` : 'Global',
+    argument: `country: "${code}"`
+  };
+}
+
+const PROMPTS = {
+  keyword_research_brief: {
+    title: "Keyword research brief",
+    description: "Research a topic from a seed keyword: clusters, questions, opportunity scores and search intent, written up as a content brief",
+    arguments: {
+      seed: { description: "Seed keyword or topic", required: true },
+      country: { description: "Country code, e.g. 'us' (default: the server's default country)" },
+      domain: { description: "Your domain, to flag quick wins where you already rank" },
+      project: { description: "Project to save the keywords to (see create_project)" }
+    },
+    build: (args) => {
+      const country = promptCountry(args.country);
+      return `Write a keyword research brief for "${args.seed}" (${country.label}) using the Keywords Everywhere tools. Pass ${country.argument} to every tool that accepts a country.
+
+1. Call get_budget_status and tell me if a budget is close to running out.
+2. Call cluster_keywords with seed "${args.seed}" to find the main subtopics.
+3. Call find_questions with seed "${args.seed}" and depth 2 to collect the questions people ask.
+4. Call score_keywords with the head term of each cluster and the best questions${args.domain ? `, and domain "${args.domain}" to flag quick wins` : ''}${args.project ? `. Pass saveToProject: "${args.project}"` : ''}.
+5. Call classify_intent on the scored keywords.
+
+Then write the brief:
+- A summary of the topic's demand, with total search volume per cluster
+- A table of the top 15 target keywords: volume, CPC, competition, opportunity score and intent${args.domain ? '\n- Quick wins where the domain already ranks in positions 4-20' : ''}
+- The questions to answer, grouped by question word
+- A suggested content outline (H1, H2s and the keyword each section targets)
+
+Say how many credits the workflow consumed in total.`;
+    }
+  },
+
+  competitor_audit: {
+    title: "Competitor audit",
+    description: "Compare a domain with its competitors: traffic share, keyword gaps and shared backlink sources",
+    arguments: {
+      domain: { description: "Your domain", required: true },
+      competitors: { description: "Competitor domains, comma-separated", required: true },
+      country: { description: "Country code, e.g. 'us' (default: the server's default country)" }
+    },
+    build: (args) => {
+      const country = promptCountry(args.country);
+      const competitors = promptList(args.competitors);
+      const list = JSON.stringify(competitors);
+      return `Run a competitor audit of ${args.domain} against ${competitors.join(', ')} (${country.label}) using the Keywords Everywhere tools. Pass ${country.argument} to every tool that accepts a country.
+
+1. Call get_budget_status and tell me if the remaining credits look too low for this workflow (2 credits per domain for traffic, about 200 per domain for keywords and 250 per domain for backlinks).
+2. Call compare_domain_traffic with domains ${JSON.stringify([args.domain, ...competitors])}.
+3. Call keyword_gap with domain "${args.domain}" and competitors ${list}.
+4. Call backlink_intersect with domain "${args.domain}" and competitors ${list}.
+
+Then write the audit:
+- Traffic: where ${args.domain} stands, with each domain's share of traffic and ranking keywords
+- Keyword gaps: the 10 most valuable missing keywords and the 10 where a competitor outranks ${args.domain}, by estimated traffic
+- Strengths: shared keywords where ${args.domain} ranks best
+- Backlinks: the referring domains that link to several competitors but not to ${args.domain}
+- The 5 highest-impact next steps
+
+Say how many credits the workflow consumed in total.`;
+    }
+  },
+
+  backlink_outreach_list: {
+    title: "Backlink outreach list",
+    description: "Build a prioritized outreach list of sites that link to competitors but not to you, with anchor text advice",
+    arguments: {
+      domain: { description: "Your domain", required: true },
+      competitors: { description: "Competitor domains, comma-separated", required: true },
+      brandTerms: { description: "Your brand names, comma-separated (default: the domain name)" }
+    },
+    build: (args) => {
+      const competitors = promptList(args.competitors);
+      const brandTerms = promptList(args.brandTerms);
+      return `Build a backlink outreach list for ${args.domain} using the Keywords Everywhere tools.
+
+1. Call backlink_intersect with domain "${args.domain}", competitors ${JSON.stringify(competitors)} and minCompetitors ${Math.min(2, Math.max(competitors.length, 1))}.
+2. Call analyze_anchor_text with domain "${args.domain}"${brandTerms.length > 0 ? ` and brandTerms ${JSON.stringify(brandTerms)}` : ''} to see the current anchor profile.
+3. Call compare_domain_traffic with up to 20 of the top referring domains from step 1 to size each prospect.
+
+Then write the outreach list:
+- A table of prospects sorted by priority: referring domain, competitors it links to, its estimated traffic, the competitor page it links to, and a sample anchor text
+- For the top 10 prospects, one line on why they would link to ${args.domain} (based on the pages they already link to)
+- Which anchor types to ask for, given the anchor profile warnings from step 2
+
+Say how many credits the workflow consumed in total.`;
+    }
+  },
+
+  page_optimization_check: {
+    title: "Page optimization check",
+    description: "Check how a page performs for its target keyword: rankings, traffic, related terms to cover and its backlinks",
+    arguments: {
+      url: { description: "Page URL", required: true },
+      keyword: { description: "Target keyword (default: the page's best-ranking keyword)" },
+      country: { description: "Country code, e.g. 'us' (default: the server's default country)" }
+    },
+    build: (args) => {
+      const country = promptCountry(args.country);
+      const target = args.keyword ? `"${args.keyword}"` : "the page's highest-traffic ranking keyword";
+      return `Check how well ${args.url} is optimized for ${target} (${country.label}) using the Keywords Everywhere tools. Pass ${country.argument} to every tool that accepts a country.
+
+1. Call get_url_keywords with url "${args.url}" and num 50.
+2. Call get_url_traffic with url "${args.url}".
+3. Call get_keyword_data for ${target}, then get_related_keywords and get_pasf_keywords for it.
+4. Call get_page_backlinks with url "${args.url}" and analyze_anchor_text with url "${args.url}"${args.keyword ? ` and targetKeywords ["${args.keyword}"]` : ''}.
+
+Then write the check:
+- Current position and traffic for ${target}, and the other keywords the page ranks for
+- Related and "people also search for" terms the page doesn't rank for yet, as subtopics to add
+- Whether the title, headings and content should target a different variant with more volume
+- The backlink and anchor text picture, with any over-optimization warnings
+- A prioritized list of changes
+
+Say how many credits the workflow consumed in total.`;
+    }
+  }
+};
+
+// Helper function for API calls. Cacheable endpoints are answered from the
+// response cache unless the tool call asked to bypass it; cache hits and API
+// calls are counted on the tool call's usage record for reporting. Calls that
+// reach the API are checked against and charged to the credit budgets.
+async function makeApiCall(endpoint, data = null, { trackUsage = true } = {}) {
+  const apiKey = getApiKey();
+  if (!apiKey) {
+    throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Please provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+  }
+  
+  const context = requestContext.getStore();
+  const usage = trackUsage ? context?.usage : null;
+  const key = CACHE_ENABLED && CACHE_TTLS[endpoint] ? cacheKey(apiKey, endpoint, data) : null;
+  
+  if (key && !context?.bypassCache) {
+    const cached = getCachedResponse(key);
+    if (cached) {
+      console.error(`Cache hit: ${endpoint}`);
+      cacheStats.hits++;
+      cacheStats.creditsSaved += cached.creditsSaved;
+      if (usage) {
+        usage.cacheHits++;
+        usage.creditsSaved += cached.creditsSaved;
+      }
+      return cached.response;
+    }
+  }
+  
+  // Refuse calls a budget can't cover before any credits are spent
+  const sessionId = budgetSessionId(context);
+  const estimate = estimateCredits(endpoint, data);
+  const reservation = reserveCredits(apiKey, sessionId, endpoint, estimate);
+  let response;
+  try {
+    response = await requestApi(apiKey, endpoint, data);
+  } catch (error) {
+    settleCredits(reservation, apiKey, sessionId, 0);
+    if (error.kind === 'payment' && error.credits === undefined) {
+      error.credits = knownBalances.get(apiKeyScope(apiKey));
+    }
+    throw error;
+  }
+  // Paid endpoints report the balance left after the call
+  const balance = endpoint === 'account/credits' ? structureResponse('get_credits', response).credits : response?.credits;
+  if (typeof balance === 'number') {
+    knownBalances.set(apiKeyScope(apiKey), balance);
+  }
+  settleCredits(reservation, apiKey, sessionId, typeof response?.credits_consumed === 'number' ? response.credits_consumed : estimate);
+  
+  if (usage) {
+    usage.apiCalls++;
+  }
+  if (key) {
+    cacheStats.misses++;
+    setCachedResponse(key, endpoint, response);
+  }
+  return response;
+}
+
+// Rate limits, 5xx responses and network errors are retried after 1s, 2s and
+// 4s (the base delay is configurable so tests don't have to wait)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS || '1000', 10);
+
+// Balance reported by the last successful call per key scope, attached to
+// payment errors so the caller knows where they stand
+const knownBalances = new Map();  // keyScope -> credits
+
+// Send a request to the Keywords Everywhere API, retrying transient failures
+async function requestApi(apiKey, endpoint, data, retryCount = 0) {
+  try {
+    const url = `${BASE_URL}/${endpoint}`;
+    console.error(`Calling Keywords Everywhere API: ${endpoint}`);
+    
+    const config = {
+      method: data ? 'post' : 'get',
+      url,
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Accept": "application/json"
+      }
+    };
+    
+    // Handle different types of data
+    if (data instanceof URLSearchParams) {
+      config.data = data;
+      config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (data) {
+      config.data = data;
+    }
+    
+    const response = MOCK_MODE ? mockApiRequest(apiKey, endpoint, data) : await axios(config);
+    console.error(`API Response Status: ${response.status}`);
+    
+    return response.data;
+  } catch (error) {
+    const apiError = classifyApiError(error);
+    
+    // Log detailed error information
+    console.error(`Error calling Keywords Everywhere API (${endpoint}):`, {
+      statusCode: error.response?.status,
+      errorMessage: error.response?.data?.message || error.response?.data || error.message,
+      code: apiError.code,
+      endpoint,
+      data
+    });
+    
+    const delay = retryDelay(apiError, retryCount, RETRY_BASE_DELAY_MS);
+    if (delay !== null) {
+      console.error(`${apiError.message} Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return requestApi(apiKey, endpoint, data, retryCount + 1);
+    }
+    throw apiError;
+  }
+}
+
+// ============================================================================
+// Mock Mode
+// ============================================================================
+// With KE_MOCK=1, requestApi never touches the network. Responses follow the
+// sample payloads in References/*.md, with values varied by a seed built from
+// the request (keyword, domain, country), so the same call always returns the
+// same data. Inputs containing "ke-mock-<status>" (400, 401, 402, 429, 500 or 503), or
+// KE_MOCK_ERROR=<status> for every call, simulate API errors.
+const REFERENCES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'References');
+const MOCK_ERROR = parseInt(process.env.KE_MOCK_ERROR || '0', 10);
+const MOCK_ERROR_MESSAGES = {
+  400: 'Submitted request data is invalid',
+  401: 'API key is missing or is invalid',
+  402: 'Account has an invalid subscription or insufficient credits',
+  429: 'Too many requests',
+  500: 'Internal server error',
+  503: 'Service temporarily unavailable'
+};
+
+// Words mixed into generated keywords; the question words keep find_questions useful
+const MOCK_MODIFIERS = [
+  'how to', 'what is', 'why', 'best', 'cheap', 'near me', 'review', 'price', 'vs', 'for beginners',
+  'ideas', 'online', 'guide', 'tips', 'examples', 'free', 'can i', 'does', 'course', 'tools'
+];
+const MOCK_PREFIX_MODIFIERS = new Set(['how to', 'what is', 'why', 'best', 'cheap', 'free', 'can i', 'does']);
+const MOCK_LINK_SOURCES = [
+  'medium.com', 'wikipedia.org', 'github.com', 'nytimes.com', 'bbc.co.uk', 'wordpress.com', 'quora.com',
+  'youtube.com', 'linkedin.com', 'stackoverflow.com', 'producthunt.com', 'techcrunch.com'
+];
+
+let mockSamples = null;
+const mockBalances = new Map();  // keyScope -> credits left
+
+// Sample success responses per endpoint, parsed from the API docs on first use
+function getMockSamples() {
+  if (mockSamples) {
+    return mockSamples;
+  }
+  mockSamples = {};
+  for (const file of fs.readdirSync(REFERENCES_DIR)) {
+    const doc = fs.readFileSync(path.join(REFERENCES_DIR, file), 'utf-8');
+    const endpoint = doc.match(/(?:GET|POST)\**\s+`?https:\/\/api\.keywordseverywhere\.com\/v1\/([\w/]+)/)?.[1];
+    const sample = doc.match(/(?:## Sample Success Response|## Success Response Fields)[\s\S]*?```json\n([\s\S]*?)```/)?.[1];
+    if (endpoint && sample) {
+      mockSamples[endpoint] = JSON.parse(sample);
+    }
+  }
+  return mockSamples;
+}
+
+// Deterministic random numbers in [0, 1) for a seed (mulberry32)
+function mockRandom(...seedParts) {
+  let state = crypto.createHash('sha256').update(seedParts.join('|')).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A log-scale count rounded to two significant figures, like search volumes
+function mockVolume(random, min, max) {
+  const value = Math.exp(Math.log(min) + random() * (Math.log(max) - Math.log(min)));
+  const magnitude = Math.pow(10, Math.max(Math.floor(Math.log10(value)) - 1, 0));
+  return Math.round(value / magnitude) * magnitude;
+}
+
+function mockShuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function mockKeywordVariants(keyword, random, count) {
+  return mockShuffle(MOCK_MODIFIERS, random)
+    .map(modifier => MOCK_PREFIX_MODIFIERS.has(modifier) ? `${modifier} ${keyword}` : `${keyword} ${modifier}`)
+    .slice(0, count);
+}
+
+function mockParam(data, name) {
+  if (!data) {
+    return [];
+  }
+  return data instanceof URLSearchParams ? data.getAll(name) : [].concat(data[name] ?? []);
+}
+
+// An axios-shaped error, so requestApi's error handling runs as for the real API
+function mockError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { message: MOCK_ERROR_MESSAGES[status] || 'Mock error' } };
+  return error;
+}
+
+function mockApiRequest(apiKey, endpoint, data) {
+  const inputs = data instanceof URLSearchParams ? [...data.values()] : Object.values(data || {}).flat();
+  const simulated = MOCK_ERROR || Number(inputs.map(value => String(value).match(/ke-mock-(\d{3})/)?.[1]).find(Boolean));
+  if (simulated) {
+    throw mockError(simulated);
+  }
+
+  const samples = getMockSamples();
+  const sample = samples[endpoint];
+  if (!sample) {
+    throw mockError(404);
+  }
+
+  const scope = apiKeyScope(apiKey);
+  const balance = mockBalances.has(scope) ? mockBalances.get(scope) : Number(samples['account/credits']?.[0]) || 100000;
+  if (endpoint === 'account/credits') {
+    return { status: 200, data: [balance] };
+  }
+  if (endpoint === 'countries' || endpoint === 'currencies') {
+    return { status: 200, data: sample };
+  }
+
+  // Charged like the real API: per item sent, or per result returned
+  const body = mockResponseBody(endpoint, data, sample);
+  const cost = CREDIT_COSTS[endpoint];
+  body.credits_consumed = cost?.unit === 'num' ? body.data.length * cost.credits : estimateCredits(endpoint, data);
+  mockBalances.set(scope, Math.max(balance - body.credits_consumed, 0));
+  if ('credits' in sample) {
+    body.credits = mockBalances.get(scope);
+  }
+  return { status: 200, data: body };
+}
+
+function mockResponseBody(endpoint, data, sample) {
+  const country = mockParam(data, 'country')[0] || '';
+  const num = Number(mockParam(data, 'num')[0]) || 10;
+
+  switch (endpoint) {
+    case 'get_keyword_data': {
+      const currency = mockParam(data, 'currency')[0] || '';
+      const currencyName = getMockSamples().currencies?.[currency] || '';
+      const symbol = currency && currencyName.match(/\(([^)]+)\)$/)?.[1] || sample.data[0].cpc.currency;
+      const months = sample.data[0].trend;
+      return {
+        data: mockParam(data, 'kw[]').map(keyword => {
+          const random = mockRandom('keyword', keyword, country, mockParam(data, 'dataSource')[0]);
+          const vol = mockVolume(random, 10, 200000);
+          return {
+            vol,
+            cpc: { currency: symbol, value: (random() * 8).toFixed(2) },
+            keyword,
+            competition: Math.round(random() * 100) / 100,
+            trend: months.map(({ month, year }) => ({ month, year, value: Math.round(vol * (0.6 + random() * 0.8)) }))
+          };
+        }),
+        time: 0
+      };
+    }
+
+    case 'get_related_keywords':
+    case 'get_pasf_keywords': {
+      const keyword = mockParam(data, 'keyword')[0] || '';
+      return { data: mockKeywordVariants(keyword, mockRandom(endpoint, keyword, country), num), time_taken: 0 };
+    }
+
+    case 'get_domain_keywords':
+    case 'get_url_keywords': {
+      const target = mockParam(data, endpoint === 'get_domain_keywords' ? 'domain' : 'url')[0] || '';
+      const brand = normalizeDomain(target).replace(/^www\./, '').split('.')[0];
+      const random = mockRandom(endpoint, target, country);
+      // Half the keywords come from a pool shared by every domain, so gap and
+      // overlap analyses have something to compare
+      const shared = mockShuffle(sample.data.map(item => item.keyword).concat(getMockSamples().get_related_keywords?.data || []), random);
+      const own = [brand, ...mockKeywordVariants(brand, random, MOCK_MODIFIERS.length)];
+      const keywords = [];
+      for (let i = 0; keywords.length < num && i < Math.max(own.length, shared.length); i++) {
+        for (const keyword of [own[i], shared[i]]) {
+          if (keyword && keywords.length < num && !keywords.includes(keyword)) {
+            keywords.push(keyword);
+          }
+        }
+      }
+      return {
+        data: keywords
+          .map(keyword => ({ keyword, estimated_monthly_traffic: mockVolume(random, 5, 20000), serp_position: 1 + Math.floor(random() * 50) }))
+          .sort((a, b) => b.estimated_monthly_traffic - a.estimated_monthly_traffic),
+        time_taken: 0
+      };
+    }
+
+    case 'get_domain_traffic_metrics':
+    case 'get_url_traffic_metrics': {
+      const field = endpoint === 'get_domain_traffic_metrics' ? 'domain' : 'url';
+      return {
+        data: mockParam(data, `${field}s[]`).map(target => {
+          const random = mockRandom(endpoint, target, country);
+          const traffic = mockVolume(random, 10, 2000000);
+          return { [field]: target, estimated_monthly_traffic: traffic, total_ranking_keywords: Math.max(1, Math.round(traffic / (2 + random() * 10))) };
+        }),
+        time_taken: 0
+      };
+    }
+
+    case 'get_domain_backlinks':
+    case 'get_unique_domain_backlinks':
+    case 'get_page_backlinks':
+    case 'get_unique_page_backlinks': {
+      const page = mockParam(data, 'page')[0];
+      const target = page || mockParam(data, 'domain')[0] || '';
+      const host = normalizeDomain(target);
+      const random = mockRandom(endpoint.replace('unique_', ''), target);
+      const sources = [...new Set([...sample.data.map(item => item.domain_source), ...MOCK_LINK_SOURCES])];
+      const anchors = [...new Set(sample.data.map(item => item.anchor_text.replace(/example\.com/gi, host)))];
+      const unique = endpoint.includes('unique');
+      return {
+        data: Array.from({ length: num }, (_, index) => {
+          const source = unique && index >= sources.length
+            ? `site-${index + 1}.net`
+            : unique ? sources[index] : sources[Math.floor(random() * sources.length)];
+          return {
+            anchor_text: anchors[Math.floor(random() * anchors.length)],
+            domain_source: source,
+            domain_target: host,
+            url_source: `https://www.${source}/${host.split('.')[0]}-${index + 1}`,
+            url_target: page || `https://${host}`
+          };
+        }),
+        time_taken: 0
+      };
+    }
+
+    default:
+      return { ...sample };
+  }
+}
+
+// API endpoint handlers
+const handlers = {
+  // Account
+  get_credits: async () => makeApiCall("account/credits"),
+  
+  // Local: reads the credit ledger, no API call
+  get_budget_status: async () => {
+    const apiKey = getApiKey();
+    if (!apiKey) {
+      throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Please provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+    }
+    return getBudgetStatus(apiKey, budgetSessionId(requestContext.getStore()));
+  },
+  
+  // Countries and Currencies
+  get_countries: async () => makeApiCall("countries"),
+  get_currencies: async () => makeApiCall("currencies"),
+  
+  // Keyword Data
+  get_keyword_data: async (args) => {
+    if (Array.isArray(args.keywords) && args.keywords.length > KEYWORD_DATA_BATCH_SIZE) {
+      throw new Error(`get_keyword_data accepts at most ${KEYWORD_DATA_BATCH_SIZE} keywords per call (got ${args.keywords.length}). Use get_keyword_data_bulk for larger lists.`);
+    }
+    
+    // Keywords Everywhere API expects "kw[]" format for each keyword
+    const params = new URLSearchParams();
+    
+    // Add each keyword individually to match API expectations
+    if (Array.isArray(args.keywords)) {
+      args.keywords.forEach(keyword => {
+        params.append("kw[]", keyword);
+      });
+    }
+    
+    // Reject unsupported codes before any credits are spent
+    const country = await resolveCountry(args.country);
+    const currency = await resolveCurrency(args.currency);
+    
+    // Add other parameters
+    params.append("country", country);
+    params.append("currency", currency);
+    params.append("dataSource", args.dataSource || "cli");  // Default to Google Keyword Planner & Clickstream data
+    
+    return makeApiCall("get_keyword_data", params);
+  },
+
+  // Bulk Keyword Data: dedupe, split into API-sized batches and merge
+  get_keyword_data_bulk: async (args) => {
+    const keywords = normalizeKeywords(args.keywords || []);
+    if (keywords.length === 0) {
+      throw new Error("No keywords provided");
+    }
+    
+    // Validate once up front rather than failing every batch
+    const country = await resolveCountry(args.country);
+    const currency = await resolveCurrency(args.currency);
+    
+    const batches = chunk(keywords, KEYWORD_DATA_BATCH_SIZE);
+    const concurrency = Math.min(Math.max(args.concurrency || 3, 1), MAX_BULK_CONCURRENCY);
+    console.error(`Bulk keyword data: ${keywords.length} keywords in ${batches.length} batches (concurrency ${concurrency})`);
+    
+    // Each batch settles independently so one failure doesn't discard the rest
+    const outcomes = await mapWithConcurrency(batches, concurrency, async (batch) => {
+      try {
+        const result = await handlers.get_keyword_data({
+          keywords: batch,
+          country,
+          currency,
+          dataSource: args.dataSource
+        });
+        return { ok: true, result };
+      } catch (error) {
+        return { ok: false, error };
+      }
+    });
+    
+    const merged = {
+      data: [],
+      credits: undefined,
+      credits_consumed: 0,
+      keywords_requested: (args.keywords || []).length,
+      keywords_unique: keywords.length,
+      batches: { total: batches.length, succeeded: 0, failed: 0 },
+      errors: []
+    };
+    
+    outcomes.forEach((outcome, index) => {
+      if (outcome.ok) {
+        merged.batches.succeeded++;
+        merged.data.push(...(outcome.result?.data || []));
+        merged.credits_consumed += outcome.result?.credits_consumed || 0;
+        // Balance after the request; keep the lowest (most recent) value seen
+        if (typeof outcome.result?.credits === 'number') {
+          merged.credits = merged.credits === undefined ? outcome.result.credits : Math.min(merged.credits, outcome.result.credits);
+        }
+      } else {
+        merged.batches.failed++;
+        merged.errors.push({
+          batch: index + 1,
+          keywords: batches[index],
+          message: outcome.error instanceof Error ? outcome.error.message : String(outcome.error)
+        });
+      }
+    });
+    
+    if (merged.batches.succeeded === 0) {
+      throw new Error(`All ${batches.length} batches failed. First error: ${merged.errors[0].message}`);
+    }
+    
+    return merged;
+  },
+
+  // Related Keywords
+  get_related_keywords: async (args) => {
+    const data = {
+      keyword: args.keyword,
+      num: args.num || 10
+    };
+    const result = await makeApiCall("get_related_keywords", data);
+    return args.includeIntent ? annotateIntent(result) : result;
+  },
+
+  // PASF Keywords
+  get_pasf_keywords: async (args) => {
+    const data = {
+      keyword: args.keyword,
+      num: args.num || 10
+    };
+    const result = await makeApiCall("get_pasf_keywords", data);
+    return args.includeIntent ? annotateIntent(result) : result;
+  },
+
+  // Keyword Clustering: expand, enrich with keyword data, group locally
+  cluster_keywords: async (args) => {
+    const seed = args.seed?.trim();
+    const terms = [];
+    let creditsConsumed = 0;
+    
+    if (seed) {
+      const num = args.num || 20;
+      const related = await handlers.get_related_keywords({ keyword: seed, num });
+      const pasf = await handlers.get_pasf_keywords({ keyword: seed, num });
+      terms.push(seed, ...(related?.data || []), ...(pasf?.data || []));
+      creditsConsumed += (related?.credits_consumed || 0) + (pasf?.credits_consumed || 0);
+    }
+    terms.push(...(args.keywords || []));
+    
+    const keywords = normalizeKeywords(terms);
+    if (keywords.length === 0) {
+      throw new Error("Provide a seed keyword or a list of keywords to cluster");
+    }
+    
+    const metrics = await handlers.get_keyword_data_bulk({
+      keywords,
+      country: args.country,
+      currency: args.currency,
+      dataSource: args.dataSource
+    });
+    creditsConsumed += metrics.credits_consumed || 0;
+    
+    const byKeyword = new Map(metrics.data.map(item => [String(item.keyword).toLowerCase(), item]));
+    // Terms from failed batches have unknown volume, not zero
+    const failed = new Set(metrics.errors.flatMap(error => error.keywords));
+    const items = keywords.map(keyword => {
+      const item = byKeyword.get(keyword);
+      const cpc = parseFloat(item?.cpc?.value);
+      return {
+        keyword,
+        vol: failed.has(keyword) ? undefined : item?.vol || 0,
+        cpc: Number.isFinite(cpc) ? cpc : undefined,
+        currency: item?.cpc?.currency
+      };
+    });
+    
+    const similarity = Math.min(Math.max(args.similarity ?? 0.35, 0), 1);
+    return {
+      seed: seed || undefined,
+      keywords_total: keywords.length,
+      clusters: clusterKeywords(items, similarity, seed ? keywordStems(seed) : []),
+      errors: metrics.errors,
+      credits_consumed: creditsConsumed
+    };
+  },
+
+  find_questions: async (args) => {
+    const seed = normalizeKeywords([args.seed || ''])[0];
+    if (!seed) {
+      throw new Error("Provide a seed keyword");
+    }
+    return findQuestions(seed, {
+      depth: Math.min(Math.max(args.depth || 2, 1), MAX_QUESTION_DEPTH),
+      num: args.num || 10,
+      maxCredits: args.maxCredits ?? 200,
+      minWords: args.minWords || 4,
+      country: args.country,
+      currency: args.currency
+    });
+  },
+
+  analyze_keyword_trends: async (args) => {
+    const metrics = await handlers.get_keyword_data_bulk({
+      keywords: args.keywords || [],
+      country: args.country,
+      currency: args.currency,
+      dataSource: args.dataSource
+    });
+    return {
+      data: metrics.data.map(analyzeTrend),
+      errors: metrics.errors,
+      credits_consumed: metrics.credits_consumed
+    };
+  },
+
+  score_keywords: async (args) => {
+    // Reject unusable weights before any credits are spent
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, ...args.weights };
+    scoreWeightTotal(weights);
+    
+    const metrics = await handlers.get_keyword_data_bulk({
+      keywords: args.keywords || [],
+      country: args.country,
+      currency: args.currency,
+      dataSource: args.dataSource
+    });
+    let creditsConsumed = metrics.credits_consumed;
+    
+    // keyword -> our current SERP position
+    const positions = new Map();
+    const domain = args.domain ? normalizeDomain(args.domain) : undefined;
+    if (domain) {
+      const ranking = await handlers.get_domain_keywords({ domain, country: args.country, num: args.num || 100 });
+      (ranking?.data || []).forEach(item => {
+        const keyword = String(item.keyword).toLowerCase();
+        if (typeof item.serp_position === 'number' && !(positions.get(keyword) <= item.serp_position)) {
+          positions.set(keyword, item.serp_position);
+        }
+      });
+      creditsConsumed += ranking?.credits_consumed || 0;
+    }
+    
+    return {
+      domain,
+      weights,
+      data: scoreKeywords(metrics.data, positions, weights, args.quickWinBonus ?? 10),
+      errors: metrics.errors,
+      credits_consumed: creditsConsumed
+    };
+  },
+
+  // Local: no API call
+  classify_intent: async (args) => {
+    const keywords = normalizeKeywords(args.keywords || []);
+    if (keywords.length === 0) {
+      throw new Error("No keywords provided");
+    }
+    const classifier = createIntentClassifier(args.languages, args.brandTerms);
+    const data = keywords.map(keyword => ({ keyword, ...classifier(keyword) }));
+    const summary = Object.fromEntries(INTENTS.map(intent => [intent, data.filter(item => item.intent === intent).length]));
+    return { data, summary };
+  },
+
+  // Domain Keywords
+  get_domain_keywords: async (args) => {
+    const data = {
+      domain: args.domain,
+      country: await resolveCountry(args.country),
+      num: args.num || 10
+    };
+    return makeApiCall("get_domain_keywords", data);
+  },
+
+  // URL Keywords
+  get_url_keywords: async (args) => {
+    const data = {
+      url: args.url,
+      country: await resolveCountry(args.country),
+      num: args.num || 10
+    };
+    return makeApiCall("get_url_keywords", data);
+  },
+
+  // Traffic Metrics (the API takes a list, so single lookups send one item)
+  get_domain_traffic: async (args) => {
+    const params = new URLSearchParams();
+    params.append("domains[]", args.domain);
+    params.append("country", await resolveCountry(args.country));
+    return makeApiCall("get_domain_traffic_metrics", params);
+  },
+
+  get_url_traffic: async (args) => {
+    const params = new URLSearchParams();
+    params.append("urls[]", args.url);
+    params.append("country", await resolveCountry(args.country));
+    return makeApiCall("get_url_traffic_metrics", params);
+  },
+
+  compare_domain_traffic: async (args) => {
+    const domains = normalizeTargets(args.domains || [], normalizeDomain);
+    return compareTraffic("get_domain_traffic_metrics", "domains[]", "domain", domains, args.country);
+  },
+
+  compare_url_traffic: async (args) => {
+    const urls = normalizeTargets(args.urls || [], url => url.trim());
+    return compareTraffic("get_url_traffic_metrics", "urls[]", "url", urls, args.country);
+  },
+
+  keyword_gap: async (args) => {
+    const domain = normalizeDomain(args.domain || '');
+    const competitors = normalizeTargets(args.competitors || [], normalizeDomain).filter(c => c !== domain);
+    if (!domain || competitors.length === 0) {
+      throw new Error("Provide your domain and at least one competitor domain");
+    }
+    return keywordGap(domain, competitors, {
+      country: await resolveCountry(args.country),
+      num: args.num || 100,
+      limit: args.limit || 50
+    });
+  },
+
+  // Rank Tracking
+  track_domain: async (args) => {
+    const apiKey = getApiKey();
+    const domain = normalizeDomain(args.domain || '');
+    if (!domain) {
+      throw new Error("Provide a domain to track");
+    }
+    const country = await resolveCountry(args.country);
+    const tracking = rankTrackingFor(apiKey, { create: true });
+    const target = rankTarget(domain, country);
+    tracking.tracked[target] = {
+      domain,
+      country,
+      num: args.num || 100,
+      interval_hours: Math.max(args.intervalHours ?? 24, 0),
+      added_at: tracking.tracked[target]?.added_at || new Date().toISOString()
+    };
+    saveRankTracking();
+    return describeTracked(apiKey, tracking.tracked[target], tracking.snapshots[target]);
+  },
+
+  untrack_domain: async (args) => {
+    const tracking = rankTrackingFor(getApiKey());
+    const domain = normalizeDomain(args.domain || '');
+    const country = (args.country ?? DEFAULT_COUNTRY).trim().toLowerCase();
+    const target = rankTarget(domain, country);
+    const removed = Boolean(tracking.tracked[target]);
+    if (removed) {
+      delete tracking.tracked[target];
+      saveRankTracking();
+    }
+    return { domain, country, removed, snapshots: (tracking.snapshots[target] || []).length };
+  },
+
+  list_tracked_domains: async () => {
+    const apiKey = getApiKey();
+    const tracking = rankTrackingFor(apiKey);
+    return {
+      tracked: Object.entries(tracking.tracked).map(([target, entry]) => describeTracked(apiKey, entry, tracking.snapshots[target]))
+    };
+  },
+
+  take_rank_snapshot: async (args) => {
+    const apiKey = getApiKey();
+    const tracking = rankTrackingFor(apiKey);
+    const domain = normalizeDomain(args.domain || '');
+    if (!domain) {
+      throw new Error("Provide a domain to snapshot");
+    }
+    const country = await resolveCountry(args.country);
+    const target = rankTarget(domain, country);
+    const num = args.num || tracking.tracked[target]?.num || 100;
+    const { keywords, ...snapshot } = await takeRankSnapshot(apiKey, domain, country, num, 'manual');
+    // The first snapshot of a key creates its scope, so look it up again
+    return { domain, country, ...snapshot, snapshots: rankTrackingFor(apiKey).snapshots[target].length, data: keywords };
+  },
+
+  rank_changes: async (args) => {
+    const tracking = rankTrackingFor(getApiKey());
+    const domain = normalizeDomain(args.domain || '');
+    const country = (args.country ?? DEFAULT_COUNTRY).trim().toLowerCase();
+    const snapshots = tracking.snapshots[rankTarget(domain, country)] || [];
+    if (snapshots.length < 2) {
+      throw new Error(`Need at least two snapshots of ${domain} (${country || 'global'}) to compare, found ${snapshots.length}. Use take_rank_snapshot or track_domain.`);
+    }
+
+    const toIndex = args.to ? findSnapshot(snapshots, args.to) : snapshots.length - 1;
+    const fromIndex = args.from ? findSnapshot(snapshots, args.from) : toIndex - 1;
+    if (fromIndex < 0 || fromIndex >= toIndex) {
+      throw new Error(`'from' must select a snapshot taken before 'to' (${snapshots[toIndex].taken_at})`);
+    }
+    const from = snapshots[fromIndex];
+    const to = snapshots[toIndex];
+    const describe = (snapshot) => ({ taken_at: snapshot.taken_at, num: snapshot.num, keywords: snapshot.keywords.length });
+    return {
+      domain,
+      country,
+      from: describe(from),
+      to: describe(to),
+      ...rankChanges(from, to, args.limit || 20)
+    };
+  },
+
+  // Backlinks
+  get_domain_backlinks: async (args) => {
+    const data = {
+      domain: args.domain,
+      num: args.num || 10
+    };
+    return makeApiCall("get_domain_backlinks", data);
+  },
+
+  get_unique_domain_backlinks: async (args) => {
+    const data = {
+      domain: args.domain,
+      num: args.num || 10
+    };
+    return makeApiCall("get_unique_domain_backlinks", data);
+  },
+
+  get_page_backlinks: async (args) => {
+    // The page backlinks endpoints name this parameter "page"
+    const data = {
+      page: args.url,
+      num: args.num || 10
+    };
+    return makeApiCall("get_page_backlinks", data);
+  },
+
+  get_unique_page_backlinks: async (args) => {
+    // The page backlinks endpoints name this parameter "page"
+    const data = {
+      page: args.url,
+      num: args.num || 10
+    };
+    return makeApiCall("get_unique_page_backlinks", data);
+  },
+
+  backlink_intersect: async (args) => {
+    const domain = normalizeDomain(args.domain || '');
+    const competitors = normalizeTargets(args.competitors || [], normalizeDomain).filter(c => c !== domain);
+    if (!domain || competitors.length === 0) {
+      throw new Error("Provide your domain and at least one competitor domain");
     }
+    return backlinkIntersect(domain, competitors, {
+      minCompetitors: args.minCompetitors || 2,
+      num: args.num || 50,
+      limit: args.limit || 50
+    });
   },
 
-  get_page_backlinks: {
-    name: "get_page_backlinks",
-    description: "Get backlinks for a specific URL",
-    inputSchema: {
-      type: "object",
-      properties: {
-        url: {
-          type: "string",
-          description: "URL to analyze"
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["url"]
+  analyze_anchor_text: async (args) => {
+    if (!args.domain === !args.url) {
+      throw new Error("Provide either a domain or a url");
+    }
+    const num = args.num || 100;
+    const result = args.domain
+      ? await handlers.get_domain_backlinks({ domain: args.domain, num })
+      : await handlers.get_page_backlinks({ url: args.url, num });
+    
+    // Without explicit brand terms, the domain name is the brand
+    const host = normalizeDomain(args.domain || args.url).replace(/^www\./, '');
+    const brandTerms = args.brandTerms?.length > 0 ? args.brandTerms : [host.split('.')[0]];
+    
+    return {
+      target: args.domain || args.url,
+      ...analyzeAnchors(result?.data || [], brandTerms, args.targetKeywords || []),
+      credits_consumed: result?.credits_consumed || 0
+    };
+  },
+
+  // Project Workspaces (local, no API calls)
+  create_project: async (args) => projectSummary(createProject(getApiKey(), args.name, args.description)),
+
+  add_to_project: async (args) => {
+    const project = getProject(getApiKey(), args.project);
+    const collection = args.collection || 'keywords';
+    const items = args.items || [];
+    let result;
+    if (collection === 'keywords') {
+      const keywords = [...(args.keywords || []), ...items];
+      if (keywords.length === 0) {
+        throw new Error("Provide keywords or items to add");
+      }
+      result = { items: keywords.length, added: addProjectKeywords(project, keywords, 'add_to_project') };
+    } else {
+      if (items.length === 0) {
+        throw new Error(`Provide the items for the ${collection} snapshot`);
+      }
+      addProjectSnapshot(project, collection, { target: args.target, source: 'add_to_project', data: items });
+      result = { items: items.length };
     }
+    project.updated_at = new Date().toISOString();
+    saveProjects();
+    return { project: project.name, collection, ...result };
   },
 
-  get_unique_page_backlinks: {
-    name: "get_unique_page_backlinks",
-    description: "Get unique backlinks for a specific URL",
-    inputSchema: {
-      type: "object",
-      properties: {
-        url: {
-          type: "string",
-          description: "URL to analyze"
-        },
-        num: {
-          type: "integer",
-          description: "Number of results to return (max 1000)",
-          default: 10
-        }
-      },
-      required: ["url"]
+  list_projects: async () => ({
+    projects: Object.values(projectsFor(getApiKey()))
+      .map(projectSummary)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+  }),
+
+  get_project: async (args) => {
+    const project = getProject(getApiKey(), args.project);
+    if (!args.collection) {
+      return project;
     }
+    const { name, description, created_at, updated_at } = project;
+    return { name, description, created_at, updated_at, [args.collection]: project[args.collection] };
   }
 };
 
-const server = new McpServer({
-  name: "mcp-keywords-everywhere", 
-  version: "1.0.0"
-});
+// ============================================================================
+// Supported Countries and Currencies (cached reference data)
+// ============================================================================
+const REFERENCE_DATA_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const referenceData = {
+  countries: { codes: null, fetchedAt: 0 },
+  currencies: { codes: null, fetchedAt: 0 },
+};
 
-// Helper function for API calls
-async function makeApiCall(endpoint, data = null, retryCount = 0) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    throw new Error('No API key available. Please provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+// Fetch the code -> name map for "countries" or "currencies", cached for a day
+async function getSupportedCodes(kind) {
+  const entry = referenceData[kind];
+  if (entry.codes && Date.now() - entry.fetchedAt < REFERENCE_DATA_TTL) {
+    return entry.codes;
+  }
+  
+  // Validation lookups aren't part of the tool's result, so don't report them
+  const data = await makeApiCall(kind, null, { trackUsage: false });
+  // The API returns { code: name }; tolerate [{ code, name }] as well
+  const codes = Array.isArray(data)
+    ? Object.fromEntries(data.map(item => [String(item.code).toLowerCase(), item.name]))
+    : Object.fromEntries(Object.entries(data || {}).map(([code, name]) => [code.toLowerCase(), name]));
+  
+  entry.codes = codes;
+  entry.fetchedAt = Date.now();
+  return codes;
+}
+
+// ============================================================================
+// Reference and Account Resources
+// ============================================================================
+// ke://countries, ke://currencies and ke://account/credits. The balance is
+// kept for a minute per API key; paid calls clear it and notify clients that
+// subscribed to ke://account/credits with the same key.
+const ACCOUNT_CREDITS_URI = 'ke://account/credits';
+const ACCOUNT_CREDITS_TTL = 60 * 1000;
+const creditBalances = new Map();         // keyScope -> { credits, fetchedAt }
+const resourceSubscriptions = new Map();  // McpServer -> Map(uri -> keyScope)
+
+async function getAccountCredits(apiKey) {
+  const scope = apiKeyScope(apiKey);
+  const cached = creditBalances.get(scope);
+  if (cached && Date.now() - cached.fetchedAt < ACCOUNT_CREDITS_TTL) {
+    return cached;
+  }
+  const data = await makeApiCall("account/credits", null, { trackUsage: false });
+  const balance = { credits: structureResponse('get_credits', data).credits, fetchedAt: Date.now() };
+  creditBalances.set(scope, balance);
+  return balance;
+}
+
+// Called whenever a call spends credits
+function creditsChanged(apiKey) {
+  const scope = apiKeyScope(apiKey);
+  creditBalances.delete(scope);
+  resourceSubscriptions.forEach((uris, server) => {
+    if (uris.get(ACCOUNT_CREDITS_URI) === scope) {
+      server.server.sendResourceUpdated({ uri: ACCOUNT_CREDITS_URI })
+        .catch(error => console.error('Could not send resource update:', error.message));
+    }
+  });
+}
+
+// Levenshtein distance, used to suggest close matches for mistyped codes
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
   }
+  return previous[b.length];
+}
+
+function findCloseMatches(value, codes, limit = 5) {
+  return Object.entries(codes)
+    .filter(([code]) => code !== "")
+    .map(([code, name]) => {
+      const lowerName = String(name).toLowerCase();
+      // Names containing the input ("malaysia" -> myr) rank with exact code typos
+      const distance = value.length >= 3 && lowerName.includes(value) ? 0 : editDistance(value, code);
+      return { code, name, distance };
+    })
+    .filter(match => match.distance <= Math.max(1, Math.floor(value.length / 3)))
+    .sort((a, b) => a.distance - b.distance || a.code.localeCompare(b.code))
+    .slice(0, limit);
+}
+
+// Normalize a country or currency code and check it against the supported list.
+// Throws with close matches instead of letting the API spend credits on a bad code.
+async function resolveCode(kind, value, defaultValue) {
+  const code = (value ?? defaultValue).trim().toLowerCase();
   
+  let codes;
   try {
-    const url = `${BASE_URL}/${endpoint}`;
-    console.error(`Calling Keywords Everywhere API: ${endpoint}`);
-    
-    const config = {
-      method: data ? 'post' : 'get',
-      url,
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Accept": "application/json"
+    codes = await getSupportedCodes(kind);
+  } catch (error) {
+    // Don't block the call if the lookup itself fails; the API will validate
+    console.error(`Could not load supported ${kind}, skipping validation:`, error.message);
+    return code;
+  }
+  
+  if (Object.prototype.hasOwnProperty.call(codes, code)) {
+    return code;
+  }
+  
+  const label = kind === 'countries' ? 'country' : 'currency';
+  const matches = findCloseMatches(code, codes);
+  const suggestion = matches.length > 0
+    ? ` Did you mean: ${matches.map(match => `${match.code} (${match.name})`).join(', ')}?`
+    : '';
+  throw new KeywordsEverywhereError('validation', `unsupported_${label}`, `Unsupported ${label} code "${code}".${suggestion} Use get_${kind} for the full list.`);
+}
+
+const resolveCountry = (country) => resolveCode('countries', country, DEFAULT_COUNTRY);
+const resolveCurrency = (currency) => resolveCode('currencies', currency, DEFAULT_CURRENCY);
+
+// Trim, collapse whitespace, lowercase and dedupe a keyword list (order preserved)
+function normalizeKeywords(keywords) {
+  const seen = new Set();
+  const normalized = [];
+  for (const keyword of keywords) {
+    const value = String(keyword).trim().replace(/\s+/g, ' ').toLowerCase();
+    if (value && !seen.has(value)) {
+      seen.add(value);
+      normalized.push(value);
+    }
+  }
+  return normalized;
+}
+
+// Split an array into consecutive chunks of at most `size` items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run an async function over items with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Reduce a domain or URL to its bare host name (example.com)
+function normalizeDomain(domain) {
+  return domain.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/\.$/, '');
+}
+
+// Normalize and dedupe comparison targets (order preserved)
+function normalizeTargets(targets, normalize) {
+  return [...new Set(targets.map(normalize).filter(Boolean))];
+}
+
+// Fetch traffic metrics for many domains/URLs in one batch request and rank
+// them by estimated monthly traffic with share-of-total percentages
+async function compareTraffic(endpoint, paramName, field, targets, country) {
+  if (targets.length < 2) {
+    throw new Error(`Provide at least two ${field}s to compare`);
+  }
+  
+  const params = new URLSearchParams();
+  targets.forEach(target => params.append(paramName, target));
+  params.append("country", await resolveCountry(country));
+  
+  const result = await makeApiCall(endpoint, params);
+  const rows = Array.isArray(result?.data) ? result.data : [];
+  
+  const totalTraffic = rows.reduce((sum, row) => sum + (row.estimated_monthly_traffic || 0), 0);
+  const totalKeywords = rows.reduce((sum, row) => sum + (row.total_ranking_keywords || 0), 0);
+  const share = (value, total) => total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+  
+  const ranked = [...rows]
+    .sort((a, b) => (b.estimated_monthly_traffic || 0) - (a.estimated_monthly_traffic || 0))
+    .map((row, index) => ({
+      rank: index + 1,
+      [field]: row[field],
+      estimated_monthly_traffic: row.estimated_monthly_traffic || 0,
+      total_ranking_keywords: row.total_ranking_keywords || 0,
+      traffic_share: share(row.estimated_monthly_traffic || 0, totalTraffic),
+      keyword_share: share(row.total_ranking_keywords || 0, totalKeywords)
+    }));
+  
+  return {
+    field,
+    data: ranked,
+    total_traffic: totalTraffic,
+    total_ranking_keywords: totalKeywords,
+    credits_consumed: result?.credits_consumed || 0
+  };
+}
+
+// ============================================================================
+// Competitive Gap Analysis
+// ============================================================================
+const MAX_GAP_CONCURRENCY = 3;
+
+// Run a per-domain fetch for our domain and each competitor. Competitor
+// failures are reported and skipped; ours (or every competitor's) is fatal.
+async function fetchForDomains(domain, competitors, fetch) {
+  const outcomes = await mapWithConcurrency([domain, ...competitors], MAX_GAP_CONCURRENCY, async (target) => {
+    try {
+      return { domain: target, ok: true, result: await fetch(target) };
+    } catch (error) {
+      return { domain: target, ok: false, message: error instanceof Error ? error.message : String(error) };
+    }
+  });
+  
+  const [own, ...others] = outcomes;
+  if (!own.ok) {
+    throw new Error(`Could not fetch data for ${domain}: ${own.message}`);
+  }
+  const succeeded = others.filter(outcome => outcome.ok);
+  if (succeeded.length === 0) {
+    throw new Error(`Could not fetch data for any competitor. First error: ${others[0].message}`);
+  }
+  
+  return {
+    own: own.result,
+    competitors: succeeded.map(({ domain, result }) => ({ domain, result })),
+    errors: others.filter(outcome => !outcome.ok).map(({ domain, message }) => ({ domain, message })),
+    creditsConsumed: [own, ...succeeded].reduce((sum, outcome) => sum + (outcome.result?.credits_consumed || 0), 0)
+  };
+}
+
+// Diff ranking keywords between our domain and competitors
+async function keywordGap(domain, competitors, { country, num, limit }) {
+  const fetched = await fetchForDomains(domain, competitors, target =>
+    handlers.get_domain_keywords({ domain: target, country, num })
+  );
+  
+  // keyword -> { domain -> { serp_position, estimated_monthly_traffic } }
+  const rankings = new Map();
+  const addRankings = (target, result) => {
+    (result?.data || []).forEach(item => {
+      const keyword = String(item.keyword).toLowerCase();
+      if (!rankings.has(keyword)) {
+        rankings.set(keyword, new Map());
       }
-    };
-    
-    // Handle different types of data
-    if (data instanceof URLSearchParams) {
-      config.data = data;
-      config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
-    } else if (data) {
-      config.data = data;
+      const existing = rankings.get(keyword).get(target);
+      // Keep the domain's best position if a keyword appears twice
+      if (!existing || (item.serp_position ?? Infinity) < (existing.serp_position ?? Infinity)) {
+        rankings.get(keyword).set(target, {
+          serp_position: item.serp_position,
+          estimated_monthly_traffic: item.estimated_monthly_traffic || 0
+        });
+      }
+    });
+  };
+  addRankings(domain, fetched.own);
+  fetched.competitors.forEach(({ domain: target, result }) => addRankings(target, result));
+  
+  const compared = fetched.competitors.map(c => c.domain);
+  const missing = [];
+  const weaker = [];
+  const shared = [];
+  
+  rankings.forEach((byDomain, keyword) => {
+    const ours = byDomain.get(domain);
+    const rivals = compared.filter(c => byDomain.has(c)).map(c => ({ domain: c, ...byDomain.get(c) }));
+    if (rivals.length === 0) {
+      return;
     }
     
-    const response = await axios(config);
-    console.error(`API Response Status: ${response.status}`);
-    
-    return response.data;
-  } catch (error) {
-    // Extract detailed error information
-    const statusCode = error.response?.status;
-    const errorMessage = error.response?.data?.message || error.response?.data || error.message;
+    const best = rivals.reduce((a, b) => (b.serp_position ?? Infinity) < (a.serp_position ?? Infinity) ? b : a);
+    const positions = [...(ours ? [{ domain, ...ours }] : []), ...rivals];
+    const item = {
+      keyword,
+      estimated_monthly_traffic: Math.max(...positions.map(p => p.estimated_monthly_traffic)),
+      serp_position: ours?.serp_position,
+      best_competitor: best.domain,
+      best_competitor_position: best.serp_position,
+      positions
+    };
     
-    // Log detailed error information
-    console.error(`Error calling Keywords Everywhere API (${endpoint}):`, {
-      statusCode,
-      errorMessage,
-      endpoint,
-      data
+    if (!ours) {
+      missing.push(item);
+      return;
+    }
+    if ((best.serp_position ?? Infinity) < (ours.serp_position ?? Infinity)) {
+      weaker.push(item);
+    }
+    if (rivals.length === compared.length) {
+      shared.push(item);
+    }
+  });
+  
+  const byTraffic = (a, b) => b.estimated_monthly_traffic - a.estimated_monthly_traffic || a.keyword.localeCompare(b.keyword);
+  [missing, weaker, shared].forEach(list => list.sort(byTraffic));
+  
+  return {
+    domain,
+    competitors: compared,
+    missing: missing.slice(0, limit),
+    weaker: weaker.slice(0, limit),
+    shared: shared.slice(0, limit),
+    totals: { missing: missing.length, weaker: weaker.length, shared: shared.length },
+    errors: fetched.errors,
+    credits_consumed: fetched.creditsConsumed
+  };
+}
+
+const INTERSECT_SAMPLES_PER_DOMAIN = 3;
+
+// Referring domains that link to at least `minCompetitors` competitors but not to us
+async function backlinkIntersect(domain, competitors, { minCompetitors, num, limit }) {
+  const fetched = await fetchForDomains(domain, competitors, target =>
+    handlers.get_unique_domain_backlinks({ domain: target, num })
+  );
+  // www.site.com and site.com are the same referring domain
+  const referrer = (link) => normalizeDomain(String(link.domain_source || '')).replace(/^www\./, '');
+  
+  const ours = new Set((fetched.own?.data || []).map(referrer));
+  const compared = fetched.competitors.map(c => c.domain);
+  // Can't require more competitors than were successfully fetched
+  const threshold = Math.min(Math.max(minCompetitors, 1), compared.length);
+  
+  // referring domain -> { competitors: Set, samples: [] }
+  const referrers = new Map();
+  fetched.competitors.forEach(({ domain: competitor, result }) => {
+    (result?.data || []).forEach(link => {
+      const source = referrer(link);
+      if (!source || ours.has(source)) {
+        return;
+      }
+      if (!referrers.has(source)) {
+        referrers.set(source, { competitors: new Set(), samples: [] });
+      }
+      const entry = referrers.get(source);
+      entry.competitors.add(competitor);
+      if (entry.samples.length < INTERSECT_SAMPLES_PER_DOMAIN) {
+        entry.samples.push({
+          competitor,
+          anchor_text: link.anchor_text || '',
+          url_source: link.url_source,
+          url_target: link.url_target
+        });
+      }
     });
-    
-    // Handle specific error codes
-    if (statusCode === 400) {
-      // For 400 Bad Request errors, provide more helpful error messages
-      let enhancedMessage = `Bad Request (400): ${errorMessage}`;
+  });
+  
+  const matches = [...referrers.entries()]
+    .filter(([, entry]) => entry.competitors.size >= threshold)
+    .map(([source, entry]) => ({
+      domain_source: source,
+      competitor_count: entry.competitors.size,
+      competitors: compared.filter(c => entry.competitors.has(c)),
+      samples: entry.samples
+    }))
+    .sort((a, b) => b.competitor_count - a.competitor_count || a.domain_source.localeCompare(b.domain_source));
+  
+  return {
+    domain,
+    competitors: compared,
+    min_competitors: threshold,
+    data: matches.slice(0, limit),
+    total: matches.length,
+    errors: fetched.errors,
+    credits_consumed: fetched.creditsConsumed
+  };
+}
+
+// ============================================================================
+// Keyword Clustering
+// ============================================================================
+// Terms are grouped by local lexical similarity: shared word stems plus
+// character trigram overlap. No external services are involved.
+const CLUSTER_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'from',
+  'is', 'are', 'was', 'be', 'do', 'does', 'can', 'my', 'your', 'vs', 'what', 'how', 'why',
+  'when', 'where', 'which', 'who', 'best', 'top', 'near', 'me',
+  // Malay
+  'dan', 'di', 'ke', 'dari', 'yang', 'untuk', 'dengan', 'apa', 'ini', 'itu', 'terbaik'
+]);
+
+// Light suffix stripping so "shoe"/"shoes" and "run"/"running" share a stem
+function stemWord(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const stem = word.slice(0, -suffix.length);
+      // running -> run
+      return /([^aeiou])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+    }
+  }
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+function keywordStems(keyword) {
+  return keyword.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !CLUSTER_STOPWORDS.has(word))
+    .map(stemWord);
+}
+
+function trigrams(text) {
+  const padded = ` ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => { if (b.has(value)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Group { keyword, vol, cpc, currency } items into clusters. Terms are taken in
+// descending volume order and join the cluster they are most similar to on
+// average (if above the threshold), so each cluster's head is its top term.
+// Stems shared by every term (the seed) are ignored, as they'd link everything.
+function clusterKeywords(items, threshold, ignoreStems = []) {
+  const ignored = new Set(ignoreStems);
+  const features = new Map(items.map(item => {
+    const all = keywordStems(item.keyword);
+    const topical = all.filter(stem => !ignored.has(stem));
+    const stems = topical.length > 0 ? topical : all;
+    return [item.keyword, { stems: new Set(stems), grams: trigrams(stems.join(' ')) }];
+  }));
+  const similarity = (a, b) => {
+    const fa = features.get(a);
+    const fb = features.get(b);
+    return 0.7 * jaccard(fa.stems, fb.stems) + 0.3 * jaccard(fa.grams, fb.grams);
+  };
+  
+  const clusters = [];
+  const ordered = [...items].sort((a, b) => (b.vol || 0) - (a.vol || 0) || a.keyword.localeCompare(b.keyword));
+  for (const item of ordered) {
+    let best = null;
+    let bestScore = threshold;
+    for (const cluster of clusters) {
+      const score = cluster.keywords.reduce((sum, member) => sum + similarity(item.keyword, member.keyword), 0) / cluster.keywords.length;
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      best.keywords.push(item);
+    } else {
+      clusters.push({ keywords: [item] });
+    }
+  }
+  
+  return clusters
+    .map(cluster => {
+      const priced = cluster.keywords.filter(item => item.cpc !== undefined);
+      const avgCpc = priced.length > 0 ? priced.reduce((sum, item) => sum + item.cpc, 0) / priced.length : 0;
+      return {
+        head: cluster.keywords[0].keyword,
+        total_volume: cluster.keywords.reduce((sum, item) => sum + (item.vol || 0), 0),
+        avg_cpc: Math.round(avgCpc * 100) / 100,
+        currency: priced.find(item => item.currency)?.currency,
+        keywords: cluster.keywords.map(({ keyword, vol, cpc }) => ({ keyword, vol, cpc }))
+      };
+    })
+    .sort((a, b) => b.total_volume - a.total_volume);
+}
+
+// ============================================================================
+// Anchor Text Analysis
+// ============================================================================
+const GENERIC_ANCHORS = new Set([
+  'click here', 'here', 'this', 'link', 'website', 'this website', 'site', 'this site', 'web',
+  'read more', 'learn more', 'more', 'more info', 'more information', 'source', 'visit',
+  'visit site', 'visit website', 'homepage', 'home', 'continue reading', 'this article',
+  'this post', 'view', 'details', 'go', 'check it out',
+  // Malay
+  'klik di sini', 'di sini', 'sini', 'baca lagi', 'baca seterusnya', 'laman web'
+]);
+
+// Rule-of-thumb limits for a natural anchor profile (percent of links)
+const ANCHOR_LIMITS = {
+  exact: 10,          // exact-match anchors above this look manipulated
+  keywordRich: 30,    // exact + partial
+  brandedMin: 20,     // natural profiles are mostly branded or URL anchors
+  singleAnchor: 20,   // one non-branded anchor text dominating the profile
+  minSample: 20       // below this, percentages are too noisy to warn about
+};
+
+const ANCHOR_CATEGORIES = ['exact', 'partial', 'branded', 'naked_url', 'generic', 'empty', 'other'];
+
+function normalizeAnchor(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function classifyAnchor(anchor, brandTerms, targetKeywords) {
+  if (!anchor) return 'empty';
+  if (/^(https?:\/\/|www\.)\S+$/.test(anchor) || /^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(anchor)) return 'naked_url';
+  if (GENERIC_ANCHORS.has(anchor.replace(/[^\p{L}\p{N} ]/gu, '').trim())) return 'generic';
+  if (targetKeywords.includes(anchor)) return 'exact';
+  if (brandTerms.some(brand => anchor.includes(brand))) return 'branded';
+  
+  // Partial: contains a target keyword, or shares most of its word stems
+  const stems = new Set(keywordStems(anchor));
+  const partial = targetKeywords.some(keyword => {
+    if (anchor.includes(keyword)) return true;
+    const keywordSet = keywordStems(keyword);
+    const shared = keywordSet.filter(stem => stems.has(stem)).length;
+    return keywordSet.length > 0 && shared / keywordSet.length >= 0.5;
+  });
+  return partial ? 'partial' : 'other';
+}
+
+function analyzeAnchors(links, brandTerms, targetKeywords) {
+  const brands = brandTerms.map(normalizeAnchor).filter(Boolean);
+  const keywords = targetKeywords.map(normalizeAnchor).filter(Boolean);
+  
+  const counts = Object.fromEntries(ANCHOR_CATEGORIES.map(category => [category, 0]));
+  const anchors = new Map();  // anchor -> { category, count }
+  links.forEach(link => {
+    const anchor = normalizeAnchor(link.anchor_text);
+    const category = classifyAnchor(anchor, brands, keywords);
+    counts[category]++;
+    const entry = anchors.get(anchor) || { category, count: 0 };
+    entry.count++;
+    anchors.set(anchor, entry);
+  });
+  
+  const total = links.length;
+  const percent = (count) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+  const share = Object.fromEntries(ANCHOR_CATEGORIES.map(category => [category, percent(counts[category])]));
+  
+  const topAnchors = [...anchors.entries()]
+    .map(([anchor, entry]) => ({ anchor_text: anchor, category: entry.category, count: entry.count }))
+    .sort((a, b) => b.count - a.count || a.anchor_text.localeCompare(b.anchor_text))
+    .slice(0, 10);
+  
+  const warnings = [];
+  if (total < ANCHOR_LIMITS.minSample) {
+    warnings.push(`Only ${total} backlinks analyzed; the distribution may not be representative.`);
+  } else {
+    if (share.exact > ANCHOR_LIMITS.exact) {
+      warnings.push(`Exact-match anchors are ${share.exact}% of links (above ${ANCHOR_LIMITS.exact}%), which can look like over-optimization.`);
+    }
+    if (share.exact + share.partial > ANCHOR_LIMITS.keywordRich) {
+      warnings.push(`Keyword-rich anchors (exact + partial) are ${Math.round((share.exact + share.partial) * 10) / 10}% of links (above ${ANCHOR_LIMITS.keywordRich}%).`);
+    }
+    if (share.branded + share.naked_url < ANCHOR_LIMITS.brandedMin) {
+      warnings.push(`Branded and naked URL anchors are only ${Math.round((share.branded + share.naked_url) * 10) / 10}% of links (below ${ANCHOR_LIMITS.brandedMin}%).`);
+    }
+    const dominant = topAnchors.find(a => a.anchor_text && !['branded', 'naked_url'].includes(a.category));
+    if (dominant && percent(dominant.count) > ANCHOR_LIMITS.singleAnchor) {
+      warnings.push(`The anchor "${dominant.anchor_text}" is used on ${percent(dominant.count)}% of links (above ${ANCHOR_LIMITS.singleAnchor}%).`);
+    }
+  }
+  if (keywords.length === 0) {
+    warnings.push('No targetKeywords given, so exact and partial matches were not detected.');
+  }
+  
+  return {
+    total_links: total,
+    distribution: ANCHOR_CATEGORIES.map(category => ({ category, count: counts[category], percentage: share[category] })),
+    top_anchors: topAnchors,
+    warnings
+  };
+}
+
+// ============================================================================
+// Keyword Trend Analysis
+// ============================================================================
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
+
+// A net change beyond this share of the average month counts as a trend
+const TREND_THRESHOLD = 0.15;
+
+function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values.map(value => SPARKLINE_BARS[range > 0 ? Math.round(((value - min) / range) * (SPARKLINE_BARS.length - 1)) : 3]).join('');
+}
+
+function percentChange(from, to) {
+  return from > 0 ? Math.round(((to - from) / from) * 1000) / 10 : undefined;
+}
+
+// Per-keyword trend metrics from the API's monthly `trend` array
+function analyzeTrend(item) {
+  const months = (item.trend || [])
+    .map(point => ({ month: point.month, year: point.year, value: point.value || 0, index: MONTHS.indexOf(String(point.month).toLowerCase()) }))
+    .sort((a, b) => a.year - b.year || a.index - b.index);
+  const base = { keyword: item.keyword, vol: item.vol || 0, months: months.length };
+  if (months.length < 2) {
+    return { ...base, classification: 'no_data' };
+  }
+  
+  const values = months.map(point => point.value);
+  const latest = months[months.length - 1];
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mean = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const pick = ({ month, year, value }) => ({ month, year, value });
+  
+  // Only a true year-over-year change: 12 months of data end 11 months back
+  const yearAgo = months.find(point => point.index === latest.index && point.year === latest.year - 1);
+  
+  // Least-squares slope, expressed as the net change over the window relative to the average month
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const slope = values.reduce((sum, value, x) => sum + (x - xMean) * (value - average), 0) /
+    values.reduce((sum, _, x) => sum + (x - xMean) ** 2, 0);
+  const netChange = average > 0 ? (slope * (n - 1)) / average : 0;
+  
+  return {
+    ...base,
+    classification: netChange > TREND_THRESHOLD ? 'rising' : netChange < -TREND_THRESHOLD ? 'declining' : 'stable',
+    yoy_growth: yearAgo ? percentChange(yearAgo.value, latest.value) : null,
+    growth_3m: n >= 6 ? percentChange(mean(values.slice(-6, -3)), mean(values.slice(-3))) : undefined,
+    peak: pick(months.reduce((a, b) => b.value > a.value ? b : a)),
+    trough: pick(months.reduce((a, b) => b.value < a.value ? b : a)),
+    seasonality_index: average > 0 ? Math.round((Math.max(...values) / average) * 100) / 100 : 1,
+    sparkline: sparkline(values)
+  };
+}
+
+// ============================================================================
+// Keyword Opportunity Scoring
+// ============================================================================
+const DEFAULT_SCORE_WEIGHTS = { volume: 0.5, competition: 0.3, cpc: 0.2 };
+
+// Search volume at which the volume signal maxes out (log scale)
+const SCORE_VOLUME_CEILING = 100000;
+
+// Positions where a little work can reach the top 3
+const QUICK_WIN_POSITIONS = { min: 4, max: 20 };
+
+// Each signal is scaled to 0-1 and weighted so the base score is 0-100:
+// volume on a log scale up to SCORE_VOLUME_CEILING, competition inverted
+// (low competition scores high) and CPC relative to the list's highest CPC.
+// Sum of the positive score weights, which the points are divided by
+function scoreWeightTotal(weights) {
+  const weightTotal = Object.keys(DEFAULT_SCORE_WEIGHTS).reduce((sum, key) => sum + Math.max(Number(weights[key]) || 0, 0), 0);
+  if (weightTotal <= 0) {
+    throw new KeywordsEverywhereError('validation', 'invalid_request', "At least one score weight must be positive");
+  }
+  return weightTotal;
+}
+
+function scoreKeywords(items, positions, weights, quickWinBonus) {
+  const weightTotal = scoreWeightTotal(weights);
+  
+  const cpcOf = (item) => parseFloat(item.cpc?.value) || 0;
+  const maxCpc = Math.max(0, ...items.map(cpcOf));
+  const points = (weight, signal) => Math.round((100 * Math.max(Number(weight) || 0, 0) / weightTotal) * signal * 10) / 10;
+  
+  return items
+    .map(item => {
+      const vol = item.vol || 0;
+      const competition = item.competition || 0;
+      const cpc = cpcOf(item);
+      const serpPosition = positions.get(String(item.keyword).toLowerCase());
+      const quickWin = serpPosition >= QUICK_WIN_POSITIONS.min && serpPosition <= QUICK_WIN_POSITIONS.max;
       
-      // Add specific guidance based on common 400 errors
-      if (errorMessage.includes("credit") || errorMessage.includes("credits")) {
-        enhancedMessage += ". You may need to add more credits to your Keywords Everywhere account.";
-      } else if (errorMessage.includes("subscription") || errorMessage.includes("plan")) {
-        enhancedMessage += ". This may be due to a subscription plan limitation. Please check your current plan.";
-      } else if (errorMessage.includes("limit") || errorMessage.includes("rate")) {
-        enhancedMessage += ". You may have hit a rate limit. Try again later.";
+      const breakdown = {
+        volume: points(weights.volume, Math.min(Math.log10(vol + 1) / Math.log10(SCORE_VOLUME_CEILING + 1), 1)),
+        competition: points(weights.competition, 1 - Math.min(Math.max(competition, 0), 1)),
+        cpc: points(weights.cpc, maxCpc > 0 ? cpc / maxCpc : 0),
+        quick_win: quickWin ? quickWinBonus : 0
+      };
+      return {
+        keyword: item.keyword,
+        score: Math.round((breakdown.volume + breakdown.competition + breakdown.cpc + breakdown.quick_win) * 10) / 10,
+        vol,
+        competition,
+        cpc,
+        serp_position: serpPosition,
+        quick_win: quickWin,
+        breakdown
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.vol - a.vol)
+    .map((item, index) => ({ rank: index + 1, ...item }));
+}
+
+// ============================================================================
+// Question and Long-Tail Mining
+// ============================================================================
+// A term is a question when it starts with one of these (English and Malay)
+const QUESTION_WORDS = [
+  'how', 'what', 'why', 'when', 'where', 'which', 'who', 'whose', 'can', 'does', 'do', 'is', 'are',
+  'should', 'will', 'would', 'could',
+  'bagaimana', 'apa', 'apakah', 'kenapa', 'mengapa', 'bila', 'bilakah', 'siapa', 'berapa', 'boleh', 'adakah', 'cara'
+];
+
+function questionWord(keyword) {
+  const first = keyword.split(' ')[0];
+  if (QUESTION_WORDS.includes(first)) return first;
+  if (keyword.startsWith('di mana')) return 'di mana';
+  return keyword.endsWith('?') ? 'other' : null;
+}
+
+// Breadth-first expansion through related + PASF keywords. Before each
+// expansion its worst-case cost is checked against the credit cap; the
+// remaining credits then go to volume lookups for the kept terms.
+async function findQuestions(seed, { depth, num, maxCredits, minWords, country, currency }) {
+  const found = new Map([[seed, 0]]);  // term -> depth found at
+  const expansionCost = estimateCredits('get_related_keywords', { num }) + estimateCredits('get_pasf_keywords', { num });
+  let spent = 0;
+  let expansions = 0;
+  let depthReached = 0;
+  let truncated = false;
+  let level = [seed];
+  
+  for (let current = 1; current <= depth && level.length > 0 && !truncated; current++) {
+    const next = [];
+    for (const term of level) {
+      if (spent + expansionCost > maxCredits) {
+        truncated = true;
+        break;
       }
+      const related = await handlers.get_related_keywords({ keyword: term, num });
+      const pasf = await handlers.get_pasf_keywords({ keyword: term, num });
+      spent += (related?.credits_consumed || 0) + (pasf?.credits_consumed || 0);
+      expansions++;
+      depthReached = current;
       
-      const customError = new Error(enhancedMessage);
-      customError.statusCode = statusCode;
-      customError.originalError = error;
-      throw customError;
-    } else if (statusCode === 401) {
-      throw new Error(`Authentication failed (401): Please check your API key`);
-    } else if (statusCode === 429) {
-      // Rate limiting - implement retry with exponential backoff
-      if (retryCount < 3) {
-        const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s, 4s
-        console.error(`Rate limited. Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return makeApiCall(endpoint, data, retryCount + 1);
-      } else {
-        throw new Error(`Rate limit exceeded (429): Too many requests. Please try again later.`);
-      }
-    } else {
-      // For other errors, pass through with some additional context
-      throw new Error(`API Error (${statusCode || 'unknown'}): ${errorMessage}`);
+      normalizeKeywords([...(related?.data || []), ...(pasf?.data || [])]).forEach(keyword => {
+        if (!found.has(keyword)) {
+          found.set(keyword, current);
+          next.push(keyword);
+        }
+      });
     }
+    level = next;
+  }
+  
+  const kept = [...found.entries()]
+    .filter(([keyword]) => keyword !== seed)
+    .map(([keyword, foundAt]) => ({ keyword, depth: foundAt, question_word: questionWord(keyword) }))
+    .filter(item => item.question_word || item.keyword.split(' ').length >= minWords);
+  
+  // Volume for as many kept terms as the remaining credits allow (1 per keyword)
+  const affordable = Math.max(Math.min(kept.length, maxCredits - spent), 0);
+  if (affordable < kept.length) {
+    truncated = true;
+  }
+  const volumes = new Map();
+  let errors = [];
+  if (affordable > 0) {
+    const metrics = await handlers.get_keyword_data_bulk({
+      keywords: kept.slice(0, affordable).map(item => item.keyword),
+      country,
+      currency
+    });
+    metrics.data.forEach(item => volumes.set(String(item.keyword).toLowerCase(), item.vol || 0));
+    errors = metrics.errors;
+    spent += metrics.credits_consumed || 0;
   }
+  
+  const byVolume = (a, b) => (b.vol ?? -1) - (a.vol ?? -1) || a.keyword.localeCompare(b.keyword);
+  const entry = (item) => ({ keyword: item.keyword, vol: volumes.get(item.keyword), depth: item.depth });
+  
+  const groups = new Map();
+  kept.filter(item => item.question_word).forEach(item => {
+    if (!groups.has(item.question_word)) {
+      groups.set(item.question_word, []);
+    }
+    groups.get(item.question_word).push(entry(item));
+  });
+  
+  return {
+    seed,
+    depth_reached: depthReached,
+    expansions,
+    terms_found: found.size - 1,
+    truncated,
+    questions: [...groups.entries()]
+      .map(([word, keywords]) => ({ question_word: word, keywords: keywords.sort(byVolume) }))
+      .sort((a, b) => b.keywords.length - a.keywords.length || a.question_word.localeCompare(b.question_word)),
+    long_tail: kept.filter(item => !item.question_word).map(entry).sort(byVolume),
+    errors,
+    credits_consumed: spent
+  };
 }
 
-// API endpoint handlers
-const handlers = {
-  // Account
-  get_credits: async () => makeApiCall("account/credits"),
+// ============================================================================
+// Search Intent Classification
+// ============================================================================
+// Ties go to the first intent in this order; brand-only matches are navigational,
+// but "how to reset nike password" is informational, not navigational.
+const INTENT_PRIORITY = ['transactional', 'commercial', 'informational', 'navigational'];
+
+// Keywords with no matching modifier are most often informational
+const DEFAULT_INTENT = 'informational';
+
+function createIntentClassifier(languages = Object.keys(INTENT_MODIFIERS), brandTerms = []) {
+  const unknown = languages.filter(language => !INTENT_MODIFIERS[language]);
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported language(s): ${unknown.join(', ')}. Supported: ${Object.keys(INTENT_MODIFIERS).join(', ')}`);
+  }
   
-  // Countries and Currencies
-  get_countries: async () => makeApiCall("countries"),
-  get_currencies: async () => makeApiCall("currencies"),
+  // intent -> Set of modifiers across the selected languages
+  const modifiers = Object.fromEntries(INTENTS.map(intent => [
+    intent,
+    new Set(languages.flatMap(language => INTENT_MODIFIERS[language][intent] || []))
+  ]));
+  normalizeKeywords(brandTerms).forEach(brand => modifiers.navigational.add(brand));
+  // Longest first, so a matched phrase hides its own words ("how to" is not also "how")
+  const phrases = [...new Set(INTENTS.flatMap(intent => [...modifiers[intent]]))].sort((a, b) => b.length - a.length);
   
-  // Keyword Data
-  get_keyword_data: async (args) => {
-    // Keywords Everywhere API expects "kw[]" format for each keyword
-    const params = new URLSearchParams();
+  return (keyword) => {
+    const text = ` ${keyword.toLowerCase().replace(/[^\p{L}\p{N}.\s]/gu, ' ').replace(/\s+/g, ' ').trim()} `;
+    const signals = [];
+    const scores = Object.fromEntries(INTENTS.map(intent => [intent, 0]));
     
-    // Add each keyword individually to match API expectations
-    if (Array.isArray(args.keywords)) {
-      args.keywords.forEach(keyword => {
-        params.append("kw[]", keyword);
+    // '|' never survives the normalization above, so it can't be part of a match
+    const matched = new Set();
+    let remaining = text;
+    phrases.forEach(phrase => {
+      while (remaining.includes(` ${phrase} `)) {
+        matched.add(phrase);
+        remaining = remaining.replace(` ${phrase} `, ' | ');
+      }
+    });
+    
+    INTENTS.forEach(intent => {
+      modifiers[intent].forEach(modifier => {
+        if (matched.has(modifier)) {
+          scores[intent]++;
+          signals.push(`${intent}:${modifier}`);
+        }
       });
+    });
+    // A domain name in the query (example.com) is a navigation signal
+    if (/\S\.(com|net|org|io|co|my|gov|edu)(\.\w{2})?\s/.test(text)) {
+      scores.navigational++;
+      signals.push('navigational:domain');
     }
     
-    // Add other parameters
-    params.append("country", args.country || "");  // Default to global if not specified
-    params.append("currency", args.currency || "myr");  // Default to Malaysian Ringgit
-    params.append("dataSource", "cli");  // Use Google Keyword Planner & Clickstream data
-    
-    return makeApiCall("get_keyword_data", params);
-  },
-
-  // Related Keywords
-  get_related_keywords: async (args) => {
-    const data = {
-      keyword: args.keyword,
-      num: args.num || 10
-    };
-    return makeApiCall("get_related_keywords", data);
-  },
-
-  // PASF Keywords
-  get_pasf_keywords: async (args) => {
-    const data = {
-      keyword: args.keyword,
-      num: args.num || 10
-    };
-    return makeApiCall("get_pasf_keywords", data);
-  },
-
-  // Domain Keywords
-  get_domain_keywords: async (args) => {
-    const data = {
-      domain: args.domain,
-      country: args.country || "",
-      num: args.num || 10
-    };
-    return makeApiCall("get_domain_keywords", data);
-  },
-
-  // URL Keywords
-  get_url_keywords: async (args) => {
-    const data = {
-      url: args.url,
-      country: args.country || "",
-      num: args.num || 10
-    };
-    return makeApiCall("get_url_keywords", data);
-  },
-
-  // Traffic Metrics
-  get_domain_traffic: async (args) => {
-    const data = {
-      domain: args.domain,
-      country: args.country || ""
-    };
-    return makeApiCall("get_domain_traffic", data);
-  },
+    const best = Math.max(...Object.values(scores));
+    if (best === 0) {
+      return { intent: DEFAULT_INTENT, confidence: 'low', signals };
+    }
+    const intent = INTENT_PRIORITY.find(candidate => scores[candidate] === best);
+    const competing = INTENTS.filter(other => other !== intent && scores[other] > 0).length;
+    return { intent, confidence: competing === 0 ? 'high' : 'medium', signals };
+  };
+}
 
-  get_url_traffic: async (args) => {
-    const data = {
-      url: args.url,
-      country: args.country || ""
-    };
-    return makeApiCall("get_url_traffic", data);
-  },
+// Turn each keyword of a related/PASF response into { keyword, intent }
+function annotateIntent(result) {
+  if (!Array.isArray(result?.data)) {
+    return result;
+  }
+  const classify = createIntentClassifier();
+  return { ...result, data: result.data.map(keyword => ({ keyword, intent: classify(String(keyword)).intent })) };
+}
 
-  // Backlinks
-  get_domain_backlinks: async (args) => {
-    const data = {
-      domain: args.domain,
-      num: args.num || 10
-    };
-    return makeApiCall("get_domain_backlinks", data);
-  },
+// Trailing "Credits Consumed" line for list responses
+function formatCreditsConsumed(data) {
+  return typeof data?.credits_consumed === 'number' ? `\n\nCredits Consumed: ${data.credits_consumed}` : '';
+}
 
-  get_unique_domain_backlinks: async (args) => {
-    const data = {
-      domain: args.domain,
-      num: args.num || 10
-    };
-    return makeApiCall("get_unique_domain_backlinks", data);
-  },
+// Trailing note for tools built on get_keyword_data_bulk whose batches failed
+function formatBulkErrors(data) {
+  if (!data.errors?.length) {
+    return '';
+  }
+  const failures = data.errors.map(error => `- ${error.keywords.join(', ')}: ${error.message}`);
+  return `\n\nNo keyword data for ${failures.length} failed batch(es):\n${failures.join('\n')}`;
+}
 
-  get_page_backlinks: async (args) => {
-    const data = {
-      url: args.url,
-      num: args.num || 10
-    };
-    return makeApiCall("get_page_backlinks", data);
-  },
+// Trailing cache note for tool calls that were (partly) answered from the cache
+function formatCacheUsage(usage) {
+  if (!usage.cacheHits) {
+    return '';
+  }
+  const total = usage.cacheHits + usage.apiCalls;
+  const source = usage.apiCalls === 0
+    ? 'Served from cache'
+    : `Cache: ${usage.cacheHits} of ${total} API requests served from cache`;
+  return `\n\n${source} (${usage.creditsSaved} credits saved). Use bypassCache for fresh data.`;
+}
 
-  get_unique_page_backlinks: async (args) => {
-    const data = {
-      url: args.url,
-      num: args.num || 10
-    };
-    return makeApiCall("get_unique_page_backlinks", data);
+function formatProjectSave(saved) {
+  if (!saved) {
+    return '';
   }
-};
+  const detail = saved.collection === 'keywords' ? `${saved.items} keywords, ${saved.added} new` : `${saved.collection} snapshot of ${saved.items} items`;
+  return `\n\nSaved to project "${saved.project}" (${detail})`;
+}
 
 // Format response for different types of data
 function formatResponse(toolName, data) {
@@ -678,15 +4612,21 @@ function formatResponse(toolName, data) {
     case 'get_credits':
       return `Credit Balance: ${data[0]}`;
     
-    case 'get_countries':
-      if (Array.isArray(data)) {
-        return data.map(country => `${country.code}: ${country.name}`).join('\n');
-      }
-      return JSON.stringify(data, null, 2);
+    case 'get_budget_status': {
+      const line = (label, budget) => budget.limit === undefined
+        ? `${label}: ${budget.spent} credits used (no limit set)`
+        : `${label}: ${budget.spent} of ${budget.limit} credits used, ${budget.remaining} remaining`;
+      return `${line(`Daily budget (${data.date} UTC)`, data.daily)}\n${line('Session budget', data.session)}`;
+    }
     
+    case 'get_countries':
     case 'get_currencies':
+      // The API returns { code: name }; tolerate [{ code, name }] as well
       if (Array.isArray(data)) {
-        return data.map(currency => `${currency.code}: ${currency.name}`).join('\n');
+        return data.map(item => `${item.code}: ${item.name}`).join('\n');
+      }
+      if (data && typeof data === 'object') {
+        return Object.entries(data).map(([code, name]) => `${code || '(empty)'}: ${name}`).join('\n');
       }
       return JSON.stringify(data, null, 2);
     
@@ -698,99 +4638,744 @@ function formatResponse(toolName, data) {
 - CPC: ${item.cpc?.currency ? item.cpc.currency : 'RM'}${item.cpc?.value || '0.00'}
 - Competition: ${item.competition || 0}
 - Trend: ${item.trend && item.trend.length > 0 ? JSON.stringify(item.trend) : '[]'}`;
-        }).join("\n\n");
+        }).join("\n\n") + formatCreditsConsumed(data);
       }
       // Fallback for unexpected response structure
       return JSON.stringify(data, null, 2);
     
-    case 'get_related_keywords':
-    case 'get_pasf_keywords':
-    case 'get_domain_keywords':
-    case 'get_url_keywords':
-      if (Array.isArray(data)) {
-        return data.map((item, index) => {
-          return `${index + 1}. ${item.keyword}
-   - Search Volume: ${item.vol || 0}
-   - CPC: ${item.cpc?.currency ? item.cpc.currency : 'RM'}${item.cpc?.value || '0.00'}
-   - Competition: ${item.competition || 0}`;
-        }).join("\n\n");
-      }
-      return JSON.stringify(data, null, 2);
+    case 'get_keyword_data_bulk': {
+      const summary = `Keywords: ${data.keywords_unique} unique of ${data.keywords_requested} submitted
+Batches: ${data.batches.succeeded}/${data.batches.total} succeeded
+Credits Consumed: ${data.credits_consumed}${typeof data.credits === 'number' ? `\nCredits Remaining: ${data.credits}` : ''}`;
+      
+      const rows = data.data.map(item => 
+        `| ${item.keyword} | ${item.vol || 0} | ${item.cpc?.currency || 'RM'}${item.cpc?.value || '0.00'} | ${item.competition || 0} |`
+      );
+      const table = ['| Keyword | Search Volume | CPC | Competition |', '|---|---|---|---|', ...rows].join('\n');
+      
+      const failures = data.errors.map(error => 
+        `- Batch ${error.batch} (${error.keywords.length} keywords, starting "${error.keywords[0]}"): ${error.message}`
+      );
+      
+      return [
+        summary,
+        table,
+        failures.length > 0 ? `Partial results: ${failures.length} batch(es) failed and can be retried:\n${failures.join('\n')}` : null
+      ].filter(Boolean).join('\n\n');
+    }
+    
+    case 'get_related_keywords':
+    case 'get_pasf_keywords':
+      if (data?.data && Array.isArray(data.data)) {
+        return data.data.map((item, index) => `${index + 1}. ${typeof item === 'string' ? item : `${item.keyword} [${item.intent}]`}`).join("\n") +
+          formatCreditsConsumed(data);
+      }
+      return JSON.stringify(data, null, 2);
+    
+    case 'cluster_keywords': {
+      const header = `${data.seed ? `Seed: ${data.seed}\n` : ''}${data.keywords_total} keywords in ${data.clusters.length} clusters`;
+      const clusters = data.clusters.map((cluster, index) => {
+        const terms = cluster.keywords.map(item => `   - ${item.keyword} (${item.vol ?? 'volume unknown'})`).join('\n');
+        const size = cluster.keywords.length;
+        return `${index + 1}. ${cluster.head} (${size} keyword${size === 1 ? '' : 's'})
+   Total Volume: ${cluster.total_volume} | Avg CPC: ${cluster.currency || ''}${cluster.avg_cpc.toFixed(2)}
+${terms}`;
+      });
+      return [header, ...clusters].join('\n\n') + formatBulkErrors(data) + formatCreditsConsumed(data);
+    }
+    
+    case 'analyze_keyword_trends': {
+      const growth = (value) => value == null ? 'n/a' : `${value > 0 ? '+' : ''}${value}%`;
+      const month = (point) => `${point.month.slice(0, 3)} ${point.year} (${point.value})`;
+      const rows = data.data.map(item => item.classification === 'no_data'
+        ? `| ${item.keyword} | no trend data | | | | | | |`
+        : `| ${item.keyword} | ${item.sparkline} | ${growth(item.yoy_growth)} | ${growth(item.growth_3m)} | ${month(item.peak)} | ${month(item.trough)} | ${item.seasonality_index} | ${item.classification} |`
+      );
+      return [
+        '| Keyword | Trend | YoY | 3-Month | Peak | Trough | Seasonality | Direction |',
+        '|---|---|---|---|---|---|---|---|',
+        ...rows
+      ].join('\n') + formatBulkErrors(data) + formatCreditsConsumed(data);
+    }
+    
+    case 'score_keywords': {
+      const rows = data.data.map(item => {
+        const b = item.breakdown;
+        return `| ${item.rank} | ${item.keyword}${item.quick_win ? ' ⚡' : ''} | ${item.score} | ${item.vol} | ${item.competition} | ${item.cpc.toFixed(2)} | ${item.serp_position ?? '-'} | ${b.volume} + ${b.competition} + ${b.cpc}${b.quick_win ? ` + ${b.quick_win}` : ''} |`;
+      });
+      const weights = `Weights: volume ${data.weights.volume}, competition ${data.weights.competition}, CPC ${data.weights.cpc}`;
+      const quickWins = data.data.filter(item => item.quick_win).length;
+      return [
+        data.domain ? `${weights}\nQuick wins (⚡, ${data.domain} ranks 4-20): ${quickWins}` : weights,
+        [
+          '| Rank | Keyword | Score | Volume | Competition | CPC | Position | Breakdown (volume + competition + CPC + quick win) |',
+          '|---|---|---|---|---|---|---|---|',
+          ...rows
+        ].join('\n')
+      ].join('\n\n') + formatBulkErrors(data) + formatCreditsConsumed(data);
+    }
+    
+    case 'classify_intent': {
+      const summary = INTENTS.map(intent => `${intent}: ${data.summary[intent]}`).join(', ');
+      const rows = data.data.map(item =>
+        `| ${item.keyword} | ${item.intent} | ${item.confidence} | ${item.signals.map(signal => signal.split(':')[1]).join(', ') || '-'} |`
+      );
+      return [
+        summary,
+        ['| Keyword | Intent | Confidence | Signals |', '|---|---|---|---|', ...rows].join('\n')
+      ].join('\n\n');
+    }
+    
+    case 'find_questions': {
+      const term = (item) => `   - ${item.keyword}${item.vol !== undefined ? ` (${item.vol})` : ''}`;
+      const questionCount = data.questions.reduce((sum, group) => sum + group.keywords.length, 0);
+      const header = `Seed: ${data.seed}
+${data.terms_found} terms found in ${data.depth_reached} level${data.depth_reached === 1 ? '' : 's'} (${data.expansions} expansion${data.expansions === 1 ? '' : 's'})`;
+      const questions = data.questions.length > 0
+        ? `Questions (${questionCount}):\n` + data.questions.map(group =>
+            `${group.question_word} (${group.keywords.length}):\n${group.keywords.map(term).join('\n')}`
+          ).join('\n')
+        : 'Questions: none found';
+      const longTail = data.long_tail.length > 0
+        ? `Long-tail (${data.long_tail.length}):\n${data.long_tail.map(term).join('\n')}`
+        : 'Long-tail: none found';
+      return [
+        header,
+        questions,
+        longTail,
+        data.truncated ? 'The credit cap was reached; some expansions or volume lookups were skipped.' : null
+      ].filter(Boolean).join('\n\n') + formatBulkErrors(data) + formatCreditsConsumed(data);
+    }
+    
+    case 'get_domain_keywords':
+    case 'get_url_keywords':
+      if (data?.data && Array.isArray(data.data)) {
+        return data.data.map((item, index) => {
+          return `${index + 1}. ${item.keyword}
+   - Estimated Monthly Traffic: ${item.estimated_monthly_traffic || 0}
+   - SERP Position: ${item.serp_position ?? 'n/a'}`;
+        }).join("\n\n") + formatCreditsConsumed(data);
+      }
+      return JSON.stringify(data, null, 2);
+    
+    case 'get_domain_traffic':
+    case 'get_url_traffic':
+      if (data?.data && Array.isArray(data.data)) {
+        return data.data.map(item => {
+          return `Traffic Metrics for ${item.domain || item.url}:
+- Estimated Monthly Traffic: ${item.estimated_monthly_traffic || 0}
+- Total Ranking Keywords: ${item.total_ranking_keywords || 0}`;
+        }).join("\n\n");
+      }
+      return JSON.stringify(data, null, 2);
+    
+    case 'compare_domain_traffic':
+    case 'compare_url_traffic': {
+      const label = data.field === 'domain' ? 'Domain' : 'URL';
+      const rows = data.data.map(item => 
+        `| ${item.rank} | ${item[data.field]} | ${item.estimated_monthly_traffic} | ${item.traffic_share}% | ${item.total_ranking_keywords} | ${item.keyword_share}% |`
+      );
+      return [
+        `| Rank | ${label} | Est. Monthly Traffic | Traffic Share | Ranking Keywords | Keyword Share |`,
+        '|---|---|---|---|---|---|',
+        ...rows
+      ].join('\n') + `\n\nTotal Traffic: ${data.total_traffic}\nCredits Consumed: ${data.credits_consumed}`;
+    }
+    
+    case 'keyword_gap': {
+      const position = (value) => value ?? '-';
+      const section = (title, items, total, header, row) => {
+        if (items.length === 0) {
+          return `${title}: none`;
+        }
+        const shown = items.length < total ? ` (top ${items.length} of ${total})` : '';
+        return [`${title}${shown}:`, header, `|${'---|'.repeat(header.split('|').length - 2)}`, ...items.map(row)].join('\n');
+      };
+      
+      return [
+        `Keyword gap for ${data.domain} vs ${data.competitors.join(', ')}`,
+        section('Missing (competitors rank, you don\'t)', data.missing, data.totals.missing,
+          '| Keyword | Est. Monthly Traffic | Best Competitor | Position |',
+          item => `| ${item.keyword} | ${item.estimated_monthly_traffic} | ${item.best_competitor} | ${position(item.best_competitor_position)} |`),
+        section('Weaker (a competitor outranks you)', data.weaker, data.totals.weaker,
+          '| Keyword | Est. Monthly Traffic | Your Position | Best Competitor | Position |',
+          item => `| ${item.keyword} | ${item.estimated_monthly_traffic} | ${position(item.serp_position)} | ${item.best_competitor} | ${position(item.best_competitor_position)} |`),
+        section('Shared (every domain ranks)', data.shared, data.totals.shared,
+          `| Keyword | Est. Monthly Traffic | ${[data.domain, ...data.competitors].join(' | ')} |`,
+          item => `| ${item.keyword} | ${item.estimated_monthly_traffic} | ${[data.domain, ...data.competitors].map(d => position(item.positions.find(p => p.domain === d)?.serp_position)).join(' | ')} |`),
+        data.errors.length > 0 ? `Skipped competitors:\n${data.errors.map(e => `- ${e.domain}: ${e.message}`).join('\n')}` : null
+      ].filter(Boolean).join('\n\n') + formatCreditsConsumed(data);
+    }
+    
+    case 'backlink_intersect': {
+      const header = `Link intersect for ${data.domain} vs ${data.competitors.join(', ')}
+Referring domains linking to at least ${data.min_competitors} competitor${data.min_competitors === 1 ? '' : 's'} but not to you: ${data.total}${data.data.length < data.total ? ` (showing ${data.data.length})` : ''}`;
+      const rows = data.data.map((item, index) => {
+        const samples = item.samples.map(sample =>
+          `   - ${sample.competitor}: ${sample.anchor_text ? `"${sample.anchor_text}"` : '(empty anchor)'} on ${sample.url_source} -> ${sample.url_target}`
+        ).join('\n');
+        return `${index + 1}. ${item.domain_source} (links to ${item.competitors.join(', ')})\n${samples}`;
+      });
+      const skipped = data.errors.length > 0
+        ? `Skipped competitors:\n${data.errors.map(e => `- ${e.domain}: ${e.message}`).join('\n')}`
+        : null;
+      return [header, ...rows, skipped].filter(Boolean).join('\n\n') + formatCreditsConsumed(data);
+    }
+    
+    case 'analyze_anchor_text': {
+      const labels = {
+        exact: 'Exact match',
+        partial: 'Partial match',
+        branded: 'Branded',
+        naked_url: 'Naked URL',
+        generic: 'Generic',
+        empty: 'Empty (image or no text)',
+        other: 'Other'
+      };
+      const distribution = data.distribution
+        .map(row => `| ${labels[row.category]} | ${row.count} | ${row.percentage}% |`);
+      const top = data.top_anchors
+        .map((anchor, index) => `${index + 1}. ${anchor.anchor_text ? `"${anchor.anchor_text}"` : '(empty)'} - ${anchor.count} (${labels[anchor.category]})`);
+      return [
+        `Anchor text distribution for ${data.target} (${data.total_links} backlinks)`,
+        ['| Category | Links | Share |', '|---|---|---|', ...distribution].join('\n'),
+        top.length > 0 ? `Top anchors:\n${top.join('\n')}` : null,
+        data.warnings.length > 0 ? `Warnings:\n${data.warnings.map(w => `- ${w}`).join('\n')}` : 'No over-optimization warnings.'
+      ].filter(Boolean).join('\n\n') + formatCreditsConsumed(data);
+    }
+    
+    case 'get_domain_backlinks':
+    case 'get_unique_domain_backlinks':
+    case 'get_page_backlinks':
+    case 'get_unique_page_backlinks':
+      if (data?.data && Array.isArray(data.data)) {
+        return data.data.map((item, index) => {
+          return `${index + 1}. ${item.url_source}
+   - Anchor Text: ${item.anchor_text ? `"${item.anchor_text}"` : '(empty)'}
+   - Source Domain: ${item.domain_source}
+   - Target URL: ${item.url_target}`;
+        }).join("\n\n") + formatCreditsConsumed(data);
+      }
+      return JSON.stringify(data, null, 2);
+    
+    case 'track_domain':
+    case 'list_tracked_domains': {
+      const entries = toolName === 'track_domain' ? [data] : data.tracked;
+      if (entries.length === 0) {
+        return 'No tracked domains. Start with track_domain.';
+      }
+      const schedule = (entry) => entry.scheduled
+        ? `every ${entry.interval_hours}h, next ${entry.next_snapshot_at}`
+        : entry.interval_hours > 0 && RANK_TRACKING_SCHEDULE ? 'manual (scheduling uses the server API key)' : 'manual';
+      const rows = entries.map(entry =>
+        `| ${entry.domain} | ${entry.country || 'global'} | ${entry.num} | ${entry.snapshots} | ${entry.last_snapshot_at || '-'} | ${schedule(entry)} |`
+      );
+      return [
+        toolName === 'track_domain' ? `Tracking ${data.domain} (${data.country || 'global'}). Use take_rank_snapshot for a snapshot now.` : null,
+        ['| Domain | Country | Keywords | Snapshots | Last snapshot | Schedule |', '|---|---|---|---|---|---|', ...rows].join('\n')
+      ].filter(Boolean).join('\n\n');
+    }
+    
+    case 'untrack_domain':
+      return data.removed
+        ? `Stopped tracking ${data.domain} (${data.country || 'global'}). ${data.snapshots} snapshots kept.`
+        : `${data.domain} (${data.country || 'global'}) was not tracked.`;
+    
+    case 'take_rank_snapshot':
+      return `Snapshot of ${data.domain} (${data.country || 'global'}) taken at ${data.taken_at}: ${data.data.length} ranking keywords, ${data.total_traffic} estimated monthly traffic. ${data.snapshots} snapshot${data.snapshots === 1 ? '' : 's'} stored${data.snapshots > 1 ? '; compare them with rank_changes' : ''}.` + formatCreditsConsumed(data);
+    
+    case 'rank_changes': {
+      const { summary, traffic } = data;
+      const sign = (value) => value > 0 ? `+${value}` : String(value);
+      const section = (label, count, items, line) => items.length > 0
+        ? `${label} (${count}):\n${items.map(line).join('\n')}`
+        : `${label}: none`;
+      return [
+        `Rank changes for ${data.domain} (${data.country || 'global'}): ${data.from.taken_at} → ${data.to.taken_at}`,
+        `Traffic: ${traffic.from} → ${traffic.to} (${sign(traffic.change)}${traffic.change_percent !== undefined ? `, ${sign(traffic.change_percent)}%` : ''})
+Gained ${summary.gained}, lost ${summary.lost}, improved ${summary.improved}, declined ${summary.declined}, unchanged ${summary.unchanged}`,
+        data.from.num !== data.to.num
+          ? `Note: the snapshots fetched different numbers of keywords (${data.from.num} vs ${data.to.num}), so some gains and losses only reflect that.`
+          : null,
+        section('Gained', summary.gained, data.gained, item => `- ${item.keyword}: #${item.serp_position} (${item.estimated_monthly_traffic} traffic)`),
+        section('Lost', summary.lost, data.lost, item => `- ${item.keyword}: was #${item.serp_position} (${item.estimated_monthly_traffic} traffic)`),
+        section('Improved', summary.improved, data.improved, item => `- ${item.keyword}: #${item.from_position} → #${item.to_position} (${sign(item.change)}, traffic ${sign(item.traffic_change)})`),
+        section('Declined', summary.declined, data.declined, item => `- ${item.keyword}: #${item.from_position} → #${item.to_position} (${item.change}, traffic ${sign(item.traffic_change)})`)
+      ].filter(Boolean).join('\n\n');
+    }
+    
+    case 'create_project':
+      return `Created project "${data.name}". Save results to it with saveToProject: "${data.name}" or add_to_project, and read it back with get_project or the project://${data.name} resource.`;
+    
+    case 'add_to_project':
+      return data.collection === 'keywords'
+        ? `Added ${data.items} keywords to project "${data.project}" (${data.added} new)`
+        : `Saved a ${data.collection} snapshot of ${data.items} items to project "${data.project}"`;
+    
+    case 'list_projects': {
+      if (data.projects.length === 0) {
+        return 'No projects yet. Create one with create_project.';
+      }
+      const rows = data.projects.map(project =>
+        `| ${project.name} | ${project.keywords} | ${project.rankings} | ${project.backlinks} | ${project.updated_at.slice(0, 10)} |`
+      );
+      return ['| Project | Keywords | Ranking snapshots | Backlink snapshots | Updated |', '|---|---|---|---|---|', ...rows].join('\n');
+    }
+    
+    case 'get_project': {
+      const snapshots = (label, list) => `${label} (${list.length}):` + (list.length > 0
+        ? '\n' + list.map(snapshot => `- ${snapshot.saved_at}: ${snapshot.target || '(no target)'} - ${snapshot.data.length} items (${snapshot.source})`).join('\n')
+        : ' none');
+      return [
+        `Project: ${data.name}${data.description ? ` - ${data.description}` : ''}\nCreated ${data.created_at}, updated ${data.updated_at}`,
+        data.keywords && `Keywords (${data.keywords.length}):` + (data.keywords.length > 0
+          ? '\n' + data.keywords.map(item => `- ${item.keyword}${item.vol !== undefined ? ` (${item.vol})` : ''}`).join('\n')
+          : ' none'),
+        data.rankings && snapshots('Ranking snapshots', data.rankings),
+        data.backlinks && snapshots('Backlink snapshots', data.backlinks)
+      ].filter(Boolean).join('\n\n');
+    }
+    
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+// Convert an API response into the typed object declared by the tool's
+// outputSchema. Most responses already are { data, credits_consumed, ... }.
+function structureResponse(toolName, data) {
+  switch (toolName) {
+    case 'get_credits':
+      return { credits: Array.isArray(data) ? Number(data[0]) || 0 : Number(data?.credits) || 0 };
+    
+    case 'get_budget_status':
+    case 'cluster_keywords':
+    case 'keyword_gap':
+    case 'analyze_anchor_text':
+    case 'classify_intent':
+    case 'find_questions':
+    case 'create_project':
+    case 'add_to_project':
+    case 'list_projects':
+    case 'get_project':
+    case 'track_domain':
+    case 'untrack_domain':
+    case 'list_tracked_domains':
+    case 'rank_changes':
+      return data;
+    
+    case 'get_countries':
+    case 'get_currencies': {
+      // The API returns { code: name }; tolerate [{ code, name }] as well
+      const entries = Array.isArray(data)
+        ? data.map(item => ({ code: String(item.code), name: String(item.name) }))
+        : Object.entries(data || {}).map(([code, name]) => ({ code, name: String(name) }));
+      return toolName === 'get_countries' ? { countries: entries } : { currencies: entries };
+    }
+    
+    default:
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { ...data, data: Array.isArray(data.data) ? data.data : [] };
+      }
+      // Unexpected top-level array: treat it as the result list
+      return { data: Array.isArray(data) ? data : [] };
+  }
+}
+
+// Rows for table exports, one object per row, built from the structured result
+function exportRows(toolName, structured) {
+  switch (toolName) {
+    case 'get_countries':
+      return structured.countries;
+    case 'get_currencies':
+      return structured.currencies;
+    
+    case 'get_related_keywords':
+    case 'get_pasf_keywords':
+      return structured.data.map(item => typeof item === 'string' ? { keyword: item } : item);
+    
+    case 'cluster_keywords':
+      return structured.clusters.flatMap(cluster => cluster.keywords.map(item => ({
+        cluster: cluster.head,
+        keyword: item.keyword,
+        vol: item.vol,
+        cpc: item.cpc,
+        cluster_total_volume: cluster.total_volume,
+        cluster_avg_cpc: cluster.avg_cpc
+      })));
+    
+    case 'keyword_gap':
+      return ['missing', 'weaker', 'shared'].flatMap(category => structured[category].map(item => ({
+        category,
+        keyword: item.keyword,
+        estimated_monthly_traffic: item.estimated_monthly_traffic,
+        serp_position: item.serp_position,
+        best_competitor: item.best_competitor,
+        best_competitor_position: item.best_competitor_position,
+        positions: item.positions.map(p => `${p.domain} (${p.serp_position ?? '-'})`).join('; ')
+      })));
+    
+    case 'rank_changes':
+      return [
+        ...['gained', 'lost'].flatMap(change => structured[change].map(item => ({
+          change,
+          keyword: item.keyword,
+          from_position: change === 'lost' ? item.serp_position : '',
+          to_position: change === 'gained' ? item.serp_position : '',
+          estimated_monthly_traffic: item.estimated_monthly_traffic
+        }))),
+        ...['improved', 'declined'].flatMap(change => structured[change].map(item => ({
+          change,
+          keyword: item.keyword,
+          from_position: item.from_position,
+          to_position: item.to_position,
+          position_change: item.change,
+          traffic_change: item.traffic_change
+        })))
+      ];
+    
+    case 'backlink_intersect':
+      return structured.data.map(item => ({
+        domain_source: item.domain_source,
+        competitor_count: item.competitor_count,
+        competitors: item.competitors.join('; '),
+        sample_anchor_text: item.samples[0]?.anchor_text,
+        sample_url_source: item.samples[0]?.url_source,
+        sample_url_target: item.samples[0]?.url_target
+      }));
     
-    case 'get_domain_traffic':
-    case 'get_url_traffic':
-      if (data && typeof data === 'object') {
-        return `Traffic Metrics:
-- Total Keywords: ${data.totalKeywords || 0}
-- Total Traffic: ${data.totalTraffic || 0}
-- Traffic Cost: RM${data.trafficCost || 0}`;
-      }
-      return JSON.stringify(data, null, 2);
+    case 'analyze_anchor_text':
+      return structured.distribution;
     
-    case 'get_domain_backlinks':
-    case 'get_unique_domain_backlinks':
-    case 'get_page_backlinks':
-    case 'get_unique_page_backlinks':
-      if (Array.isArray(data)) {
-        return data.map((item, index) => {
-          return `${index + 1}. ${item.url}
-   - Domain Authority: ${item.da || 0}
-   - Page Authority: ${item.pa || 0}
-   - Spam Score: ${item.spamScore || 0}`;
-        }).join("\n\n");
-      }
-      return JSON.stringify(data, null, 2);
+    case 'find_questions':
+      return [
+        ...structured.questions.flatMap(group => group.keywords.map(item => ({ type: 'question', question_word: group.question_word, ...item }))),
+        ...structured.long_tail.map(item => ({ type: 'long_tail', question_word: '', ...item }))
+      ];
     
     default:
-      return JSON.stringify(data, null, 2);
+      return (structured.data || []).map(item => typeof item === 'object' && item !== null ? item : { value: item });
+  }
+}
+
+// Flatten nested values into spreadsheet columns: { cpc: { value } } becomes
+// cpc_value, lists of values are joined and lists of objects kept as JSON
+function flattenRow(row, prefix = '', flat = {}) {
+  Object.entries(row).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}_${key}` : key;
+    if (Array.isArray(value)) {
+      flat[column] = value.every(item => typeof item !== 'object' || item === null) ? value.join('; ') : JSON.stringify(value);
+    } else if (value && typeof value === 'object') {
+      flattenRow(value, column, flat);
+    } else {
+      flat[column] = value;
+    }
+  });
+  return flat;
+}
+
+function toTable(rows) {
+  const flat = rows.map(row => flattenRow(row));
+  const columns = [...new Set(flat.flatMap(row => Object.keys(row)))];
+  return { columns, rows: flat.map(row => columns.map(column => row[column] ?? '')) };
+}
+
+// Quote CSV fields when needed, and defuse text that spreadsheets would run as a formula
+function csvField(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
   }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-// Helper to convert JSON schema to Zod schema
-function jsonSchemaToZod(schema) {
+function serializeRows(rows, format) {
+  if (format === 'jsonl') {
+    return rows.map(row => JSON.stringify(row)).join('\n');
+  }
+  
+  const table = toTable(rows);
+  switch (format) {
+    case 'csv':
+      return [table.columns, ...table.rows].map(row => row.map(csvField).join(',')).join('\n');
+    case 'tsv':
+      return [table.columns, ...table.rows].map(row => row.map(value => String(value).replace(/[\t\r\n]+/g, ' ')).join('\t')).join('\n');
+    case 'markdown_table': {
+      const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+      return [
+        `| ${table.columns.map(cell).join(' | ')} |`,
+        `|${'---|'.repeat(table.columns.length)}`,
+        ...table.rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+      ].join('\n');
+    }
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+// Helper to convert a JSON schema property to a Zod type (recursing into
+// arrays and objects, which output schemas use for API response items).
+// The SDK rejects the whole call when structuredContent doesn't match the
+// output schema, so output numbers accept any number or null: the API doesn't
+// guarantee whole numbers for volumes, CPC or traffic, or that they are set.
+function jsonSchemaPropertyToZod(prop, output = false) {
+  if (prop.type === "string") {
+    return prop.enum ? z.enum(prop.enum) : z.string();
+  } else if (prop.type === "integer" || prop.type === "number") {
+    if (output) {
+      return z.number().nullable();
+    }
+    return prop.type === "integer" ? z.number().int() : z.number();
+  } else if (prop.type === "boolean") {
+    return z.boolean();
+  } else if (prop.type === "array") {
+    return z.array(prop.items ? jsonSchemaPropertyToZod(prop.items, output) : z.any());
+  } else if (prop.type === "object") {
+    return z.object(jsonSchemaToZod(prop, { output })).passthrough();
+  }
+  return z.any();
+}
+
+// Helper to convert JSON schema to Zod schema; `output` builds an output
+// schema (loose numbers, no defaults)
+function jsonSchemaToZod(schema, { output = false } = {}) {
   const properties = {};
+  const required = new Set(schema?.required || []);
   
   if (schema && schema.properties) {
     Object.entries(schema.properties).forEach(([key, prop]) => {
-      if (prop.type === "string") {
-        properties[key] = z.string().describe(prop.description || "");
-      } else if (prop.type === "integer" || prop.type === "number") {
-        properties[key] = z.number().describe(prop.description || "");
-      } else if (prop.type === "array") {
-        properties[key] = z.array(z.string()).describe(prop.description || "");
-      } else if (prop.type === "object") {
-        properties[key] = z.object({}).describe(prop.description || "");
-      } else {
-        properties[key] = z.any().describe(prop.description || "");
+      let field = jsonSchemaPropertyToZod(prop, output);
+      
+      // Optional parameters keep their documented defaults, so the schema
+      // advertised over every transport matches the TOOLS definition
+      if (prop.default !== undefined && !output) {
+        field = field.default(prop.default);
+      } else if (!required.has(key)) {
+        field = field.optional();
       }
+      
+      properties[key] = field.describe(prop.description || "");
     });
   }
   
   return properties;
 }
 
-// Register each tool with the server
-Object.entries(TOOLS).forEach(([name, tool]) => {
-  server.tool(
-    name,
-    jsonSchemaToZod(tool.inputSchema),
-    async (args) => {
-      try {
-        const result = await handlers[name](args);
-        const formattedResult = formatResponse(name, result);
-        return { 
-          content: [{ type: "text", text: formattedResult }], 
-          isError: false 
-        };
-      } catch (error) {
-        return { 
-          content: [{ type: "text", text: "Error: " + (error instanceof Error ? error.message : String(error)) }], 
-          isError: true 
-        };
+// Create an MCP server with every tool registered. The STDIO transport uses a
+// single instance; the HTTP transport creates one per Mcp-Session-Id.
+function createMcpServer() {
+  const server = new McpServer({
+    name: "mcp-keywords-everywhere",
+    version: "1.1.0"
+  });
+  
+  Object.entries(TOOLS).forEach(([name, tool]) => {
+    server.registerTool(
+      name,
+      {
+        description: tool.description,
+        inputSchema: jsonSchemaToZod(tool.inputSchema),
+        outputSchema: jsonSchemaToZod(tool.outputSchema, { output: true })
+      },
+      async (args) => {
+        // Track tool call for analytics (HTTP requests only)
+        const context = requestContext.getStore();
+        if (context?.req) {
+          trackToolCall(name, context.req);
+        }
+        
+        try {
+          console.error(`Processing tools/call for: ${name}`, args);
+          // Look the project up first, so a typo fails before credits are spent
+          const project = args.saveToProject && PROJECT_SOURCES[name] ? getProject(getApiKey(), args.saveToProject) : null;
+          // Run the handler in its own context so API calls can report cache usage
+          const usage = { apiCalls: 0, cacheHits: 0, creditsSaved: 0 };
+          const result = await requestContext.run(
+            { ...context, apiKey: getApiKey(), bypassCache: args.bypassCache === true, usage },
+            () => handlers[name](args)
+          );
+          const structuredContent = structureResponse(name, result);
+          if (name === 'create_project') {
+            server.sendResourceListChanged();
+          }
+          if (usage.apiCalls + usage.cacheHits > 0 && !UNCACHED_TOOLS.has(name)) {
+            structuredContent.cache = {
+              hits: usage.cacheHits,
+              api_calls: usage.apiCalls,
+              credits_saved: usage.creditsSaved
+            };
+          }
+          
+          const projectSave = project ? saveResultToProject(project, name, args, structuredContent) : null;
+          if (projectSave) {
+            structuredContent.project = projectSave;
+          }
+          
+          const format = args.format || 'text';
+          const rows = format === 'text' ? null : exportRows(name, structuredContent);
+          let formattedResult = rows
+            ? serializeRows(rows, format)
+            : formatResponse(name, result) + formatCacheUsage(usage) + formatProjectSave(projectSave);
+          
+          // Saved exports return the file location instead of the content
+          if (args.saveToFile && !NON_EXPORTABLE_TOOLS.has(name)) {
+            const { fileName, filePath } = saveExport(getApiKey(), name, format, formattedResult);
+            structuredContent.export = { format };
+            formattedResult = rows ? `Saved ${rows.length} rows as ${format}` : `Saved ${format} export`;
+            if (rows) {
+              structuredContent.export.rows = rows.length;
+            }
+            // HTTP callers get a download path; server paths stay private
+            if (context?.req) {
+              structuredContent.export.download_path = `/analytics/exports/${fileName}`;
+              formattedResult += `\nDownload: /analytics/exports/${fileName} (send the same API key as ?apiKey= or X-API-Key)`;
+            } else {
+              structuredContent.export.path = filePath;
+              formattedResult += ` to ${filePath}`;
+            }
+          }
+          
+          return { 
+            content: [{ type: "text", text: formattedResult }], 
+            structuredContent,
+            isError: false 
+          };
+        } catch (error) {
+          console.error(`Error in tools/call ${name}:`, error);
+          return toolErrorResult(error);
+        }
+      }
+    );
+  });
+  
+  // Saved projects, readable as project://<name> and project://<name>/<collection>
+  const jsonContents = (uri, value) => ({
+    contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(value, null, 2) }]
+  });
+  // Listing must not fail without an API key; there are just no projects to show
+  const listProjects = () => getApiKey() ? Object.values(projectsFor(getApiKey())) : [];
+  
+  server.registerResource(
+    "project",
+    new ResourceTemplate("project://{name}", {
+      list: async () => ({
+        resources: listProjects().map(project => ({
+          uri: `project://${project.name}`,
+          name: project.name,
+          description: project.description || undefined,
+          mimeType: "application/json"
+        }))
+      })
+    }),
+    {
+      title: "Project",
+      description: "A saved project: keywords plus ranking and backlink snapshots",
+      mimeType: "application/json"
+    },
+    async (uri, { name }) => jsonContents(uri, getProject(getApiKey(), name))
+  );
+  
+  server.registerResource(
+    "project-collection",
+    new ResourceTemplate("project://{name}/{collection}", {
+      list: async () => ({
+        resources: listProjects().flatMap(project => PROJECT_COLLECTIONS.map(collection => ({
+          uri: `project://${project.name}/${collection}`,
+          name: `${project.name} ${collection}`,
+          mimeType: "application/json"
+        })))
+      }),
+      complete: {
+        collection: (value) => PROJECT_COLLECTIONS.filter(collection => collection.startsWith(value))
       }
+    }),
+    {
+      title: "Project collection",
+      description: "One collection of a saved project: keywords, rankings or backlinks",
+      mimeType: "application/json"
+    },
+    async (uri, { name, collection }) => {
+      if (!PROJECT_COLLECTIONS.includes(collection)) {
+        throw new Error(`Unknown collection "${collection}". Use one of: ${PROJECT_COLLECTIONS.join(', ')}`);
+      }
+      return jsonContents(uri, getProject(getApiKey(), name)[collection]);
     }
   );
-});
+  
+  const requireApiKey = () => {
+    const apiKey = getApiKey();
+    if (!apiKey) {
+      throw new KeywordsEverywhereError('auth', 'missing_api_key', 'No API key available. Please provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or contact the server administrator.');
+    }
+    return apiKey;
+  };
+  
+  // Reference data, cached like the country/currency validation lookups
+  ["countries", "currencies"].forEach(kind => {
+    server.registerResource(
+      kind,
+      `ke://${kind}`,
+      {
+        title: kind === "countries" ? "Supported countries" : "Supported currencies",
+        description: `Codes and names of the ${kind} the Keywords Everywhere API supports`,
+        mimeType: "application/json"
+      },
+      async (uri) => {
+        requireApiKey();
+        const codes = await getSupportedCodes(kind);
+        return jsonContents(uri, { [kind]: Object.entries(codes).map(([code, name]) => ({ code, name: String(name) })) });
+      }
+    );
+  });
+  
+  server.registerResource(
+    "account-credits",
+    ACCOUNT_CREDITS_URI,
+    {
+      title: "Account credits",
+      description: "Credit balance of the API key in use. Subscribe to be notified when a call spends credits",
+      mimeType: "application/json"
+    },
+    async (uri) => {
+      const balance = await getAccountCredits(requireApiKey());
+      return jsonContents(uri, { credits: balance.credits, checked_at: new Date(balance.fetchedAt).toISOString() });
+    }
+  );
+  
+  // resources/subscribe: ke://account/credits changes while the server runs
+  const subscriptions = new Map();
+  resourceSubscriptions.set(server, subscriptions);
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const apiKey = getApiKey();
+    subscriptions.set(request.params.uri, apiKey ? apiKeyScope(apiKey) : null);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+  server.server.onclose = () => resourceSubscriptions.delete(server);
+  
+  Object.entries(PROMPTS).forEach(([name, prompt]) => {
+    server.registerPrompt(
+      name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema: Object.fromEntries(Object.entries(prompt.arguments).map(([argName, arg]) =>
+          [argName, (arg.required ? z.string() : z.string().optional()).describe(arg.description)]
+        ))
+      },
+      (args) => ({
+        description: prompt.description,
+        messages: [{ role: "user", content: { type: "text", text: prompt.build(args) } }]
+      })
+    );
+  });
+  
+  return server;
+}
 
 async function runServer() {
   // Determine transport type based on environment variable or command line argument
@@ -799,10 +5384,17 @@ async function runServer() {
   if (transportType === 'stdio') {
     // Use STDIO transport for backward compatibility
     console.error('Starting with STDIO transport');
+    const server = createMcpServer();
     const transport = new StdioServerTransport();
     await server.connect(transport);
+    
+    // The client shuts the server down by closing its input
+    process.stdin.on('end', () => {
+      console.error('STDIO input closed, shutting down');
+      process.exit(0);
+    });
   } else {
-    // Use HTTP transport (default) - manually implemented since SDK doesn't support it yet
+    // Use Streamable HTTP transport (default), one SDK transport per session
     const port = parseInt(process.env.PORT || '3000');
     const host = process.env.HOST || 'localhost';
     
@@ -817,7 +5409,7 @@ async function runServer() {
       // Allow all origins for testing purposes
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Mcp-Session-Id, MCP-Protocol-Version');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, MCP-Protocol-Version');
       res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
       next();
     });
@@ -825,9 +5417,23 @@ async function runServer() {
     // Parse JSON bodies
     app.use(express.json());
     
-    // Session management
+    // Session management: Mcp-Session-Id -> { transport, server, apiKey, createdAt, idleTimer }
     const sessions = new Map();
     
+    // Restart a session's idle timer; when it fires the transport is closed,
+    // which removes the session via onclose
+    function touchSession(session) {
+      if (!(SESSION_IDLE_MINUTES > 0)) {
+        return;
+      }
+      clearTimeout(session.idleTimer);
+      session.idleTimer = setTimeout(() => {
+        console.error(`Session expired after ${SESSION_IDLE_MINUTES} idle minutes: ${session.id}`);
+        session.transport.close().catch(error => console.error('Failed to close idle session:', error));
+      }, SESSION_IDLE_MINUTES * 60 * 1000);
+      session.idleTimer.unref();
+    }
+    
     // Handle preflight requests
     app.options('/mcp', (req, res) => {
       res.status(200).end();
@@ -888,6 +5494,7 @@ async function runServer() {
           byApp: analytics.clientsByApp || {},
         },
         hourlyRequests: last24Hours,
+        cache: getCacheStatus(),
         recentToolCalls: analytics.recentToolCalls.slice(0, 20),
       });
     });
@@ -913,6 +5520,24 @@ async function runServer() {
       });
     });
     
+    // Download a file saved by a tool call with saveToFile. Only the key that
+    // saved it can download it, the same way sessions pick their key.
+    app.get('/analytics/exports/:file', (req, res) => {
+      trackRequest(req, '/analytics/exports');
+      
+      const apiKey = req.query.apiKey || req.headers['x-api-key'] || (REQUIRE_USER_API_KEY ? null : DEFAULT_API_KEY);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'API key required. Provide the key that saved the export via ?apiKey=YOUR_KEY or X-API-Key header.' });
+      }
+      
+      const fileName = req.params.file;
+      const filePath = path.join(exportDirFor(apiKey), fileName);
+      if (!/^[\w-][\w.-]*$/.test(fileName) || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+      res.download(filePath, fileName);
+    });
+    
     // Analytics dashboard - visual HTML page
     app.get('/analytics/dashboard', (req, res) => {
       trackRequest(req, '/analytics/dashboard');
@@ -1253,20 +5878,53 @@ async function runServer() {
       res.send(html);
     });
     
-    // Add a health check endpoint (also on /mcp GET for compatibility)
-    app.get('/mcp', (req, res) => {
+    // A session stays bound to the key it was initialized with; answers 403
+    // and returns true when the request sends a different one
+    function rejectKeyMismatch(req, res, session) {
+      const userApiKey = req.query.apiKey || req.headers['x-api-key'];
+      if (!userApiKey || !session.apiKey || userApiKey === session.apiKey) {
+        return false;
+      }
+      res.status(403).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32001,
+          message: 'API key does not match the key this session was initialized with'
+        }
+      });
+      return true;
+    }
+    
+    // GET /mcp opens the session's SSE stream for server-initiated messages;
+    // without a session it stays a plain health check for compatibility
+    app.get('/mcp', async (req, res) => {
       trackRequest(req, '/mcp');
-      res.status(200).json({ status: 'ok', message: 'MCP server is running' });
+      
+      const session = sessions.get(req.headers['mcp-session-id']);
+      if (!session) {
+        return res.status(200).json({ status: 'ok', message: 'MCP server is running' });
+      }
+      if (rejectKeyMismatch(req, res, session)) {
+        return;
+      }
+      
+      touchSession(session);
+      await requestContext.run({ sessionId: session.id, apiKey: session.apiKey, req }, () =>
+        session.transport.handleRequest(req, res)
+      );
     });
     
     // Handle DELETE requests for session termination
-    app.delete('/mcp', (req, res) => {
+    app.delete('/mcp', async (req, res) => {
       trackRequest(req, '/mcp');
       
       const sessionId = req.headers['mcp-session-id'];
       
       if (!sessionId) {
         return res.status(400).json({
+          jsonrpc: '2.0',
+          id: null,
           error: {
             code: -32002,
             message: 'Session ID required'
@@ -1274,21 +5932,27 @@ async function runServer() {
         });
       }
       
-      if (sessions.has(sessionId)) {
-        sessions.delete(sessionId);
-        console.error(`Session terminated: ${sessionId}`);
-        return res.status(200).json({
-          status: 'ok',
-          message: 'Session terminated successfully'
-        });
-      } else {
+      const session = sessions.get(sessionId);
+      if (!session) {
         return res.status(404).json({
+          jsonrpc: '2.0',
+          id: null,
           error: {
             code: -32000,
             message: 'Session not found'
           }
         });
       }
+      
+      if (rejectKeyMismatch(req, res, session)) {
+        return;
+      }
+      
+      // The transport closes itself, which removes the session via onclose
+      await requestContext.run({ sessionId: session.id, apiKey: session.apiKey, req }, () =>
+        session.transport.handleRequest(req, res)
+      );
+      console.error(`Session terminated: ${sessionId}`);
     });
     
     // Implement the MCP endpoint for Streamable HTTP transport
@@ -1302,60 +5966,75 @@ async function runServer() {
       
       // Extract API key from query param or header (user's key takes priority over default)
       const userApiKey = req.query.apiKey || req.headers['x-api-key'];
-      if (userApiKey) {
-        requestApiKey = userApiKey;
-        console.error('Using user-provided API key');
-      } else {
-        requestApiKey = null; // Reset to use default
-      }
       
       // Log the incoming request
       console.error('Received MCP request:', {
-        headers: req.headers,
+        headers: redactHeaders(req.headers),
         body: req.body,
         method: req.method,
         path: req.path,
         hasUserApiKey: !!userApiKey
       });
       
+      let session;
       try {
-        // Check protocol version if provided
-        const protocolVersion = req.headers['mcp-protocol-version'];
-        // Accept any protocol version that starts with 2025- for compatibility
-        if (protocolVersion && !protocolVersion.startsWith('2025-')) {
-          console.error(`Unsupported protocol version: ${protocolVersion}`);
-          return res.status(400).json({
-            jsonrpc: '2.0',
-            id: req.body.id,
-            error: {
-              code: -32600,
-              message: `Unsupported protocol version: ${protocolVersion}`
-            }
-          });
-        }
+        const body = ENABLE_LEGACY_INVOKE ? translateLegacyInvoke(req.body) : req.body;
+        const sessionId = req.headers['mcp-session-id'];
         
-        // Get or create session
-        let sessionId = req.headers['mcp-session-id'];
-        let session;
-        
-        if (sessionId && sessions.has(sessionId)) {
+        if (sessionId) {
           session = sessions.get(sessionId);
-        } else if (!sessionId && req.body.method === 'initialize') {
-          // Create new session for initialization requests
-          sessionId = generateSessionId();
-          session = { id: sessionId, createdAt: Date.now() };
-          sessions.set(sessionId, session);
-        } else if (sessionId) {
-          // Invalid session ID
-          return res.status(404).json({
-            error: {
-              code: -32000,
-              message: 'Session not found'
+          if (!session) {
+            return res.status(404).json({
+              jsonrpc: '2.0',
+              id: null,
+              error: {
+                code: -32000,
+                message: 'Session not found'
+              }
+            });
+          }
+          
+          if (rejectKeyMismatch(req, res, session)) {
+            return;
+          }
+        } else if (isInitializeMessage(body)) {
+          // Anonymous callers can only fall back to a configured default key
+          if (!userApiKey && (REQUIRE_USER_API_KEY || !DEFAULT_API_KEY)) {
+            return res.status(401).json({
+              jsonrpc: '2.0',
+              id: Array.isArray(body) ? null : body.id,
+              error: {
+                code: -32001,
+                message: 'API key required. Provide your Keywords Everywhere API key via URL query param (?apiKey=YOUR_KEY) or X-API-Key header.'
+              }
+            });
+          }
+          
+          // Create a new session for initialization requests, bound to the caller's key
+          session = { id: null, createdAt: Date.now(), apiKey: userApiKey || null };
+          session.transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: generateSessionId,
+            onsessioninitialized: (newSessionId) => {
+              session.id = newSessionId;
+              sessions.set(newSessionId, session);
+              touchSession(session);
+              console.error(`Session initialized: ${newSessionId}`);
             }
           });
+          session.transport.onclose = () => {
+            clearTimeout(session.idleTimer);
+            if (session.id) {
+              sessions.delete(session.id);
+              sessionCredits.delete(session.id);
+            }
+          };
+          session.server = createMcpServer();
+          await session.server.connect(session.transport);
         } else {
           // Missing session ID for non-initialization request
           return res.status(400).json({
+            jsonrpc: '2.0',
+            id: null,
             error: {
               code: -32002,
               message: 'Session ID required'
@@ -1363,77 +6042,34 @@ async function runServer() {
           });
         }
         
-        // Process the MCP request
-        const mcpRequest = req.body;
+        if (session.id) {
+          touchSession(session);
+        }
         
-        // Handle JSON-RPC batch requests
-        if (Array.isArray(mcpRequest)) {
-          // For simplicity, we'll process each request sequentially
-          const responses = [];
-          
-          for (const request of mcpRequest) {
-            try {
-              const response = await processMcpRequest(request, server, req);
-              console.error('Sending MCP response:', {
-                sessionId,
-                response: JSON.stringify(response, null, 2)
-              });
-              if (response) {
-                responses.push(response);
-              }
-            } catch (error) {
-              responses.push({
-                jsonrpc: '2.0',
-                id: request.id,
-                error: {
-                  code: -32603,
-                  message: error.message || 'Internal error'
-                }
-              });
-            }
-          }
-          
-          // If this is an initialization request, set the session ID header
-          if (mcpRequest.some(req => req.method === 'initialize')) {
-            res.setHeader('Mcp-Session-Id', sessionId);
-          }
-          
-          // Return the batch response
-          return res.json(responses);
-        } else {
-          // Handle single request
-          try {
-            const response = await processMcpRequest(mcpRequest, server, req);
-            
-            // If this is an initialization request, set the session ID header
-            if (mcpRequest.method === 'initialize') {
-              res.setHeader('Mcp-Session-Id', sessionId);
-            }
-            
-            if (response) {
-              return res.json(response);
-            } else {
-              return res.status(202).end();
-            }
-          } catch (error) {
-            return res.status(500).json({
-              jsonrpc: '2.0',
-              id: mcpRequest.id,
-              error: {
-                code: -32603,
-                message: error.message || 'Internal error'
-              }
-            });
-          }
+        const context = { sessionId: session.id, apiKey: userApiKey || session.apiKey, req };
+        if (context.apiKey) {
+          console.error('Using user-provided API key');
         }
+        
+        await requestContext.run(context, () => session.transport.handleRequest(req, res, body));
       } catch (error) {
         console.error('Error processing request:', error);
-        return res.status(500).json({
-          error: {
-            code: -32603,
-            message: 'Internal server error'
-          }
-        });
+        if (!res.headersSent) {
+          return res.status(500).json({
+            jsonrpc: '2.0',
+            id: null,
+            error: {
+              code: -32603,
+              message: 'Internal server error'
+            }
+          });
+        }
+      } finally {
+        // An initialize that failed or was rejected never got a session id, so
+        // no idle timer or DELETE will ever close its server and transport
+        if (session?.server && !session.id) {
+          session.server.close().catch(error => console.error('Failed to close unused session:', error));
+        }
       }
     });
     
@@ -1452,211 +6088,49 @@ async function runServer() {
   }
 }
 
-// Helper function to generate a session ID
+// Helper function to generate a session ID (unguessable, since sessions carry API keys)
 function generateSessionId() {
-  return 'session_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  return 'session_' + crypto.randomUUID().replace(/-/g, '');
 }
 
-// Helper function to process MCP requests
-async function processMcpRequest(request, server, expressReq = null) {
-  // Only handle requests with IDs (not notifications)
-  // Note: id can be 0, so we check for undefined/null specifically
-  if (request.id === undefined || request.id === null) {
-    return null;
-  }
-  
-  // Forward the request to the MCP server
-  // This is a simplified implementation - in a real-world scenario,
-  // you would need to properly integrate with the MCP server's request handling
-  
-  // For now, we'll just handle the request manually
-  if (request.method === 'initialize') {
-    console.error('Processing initialize request:', request.id);
-    
-    // Get the tools information in the exact format expected by Smithery
-    const toolsList = Object.keys(TOOLS).map(name => {
-      const tool = TOOLS[name];
-      return {
-        name,
-        description: tool.description,
-        parameters: {
-          type: "object",
-          properties: tool.inputSchema?.properties || {},
-          required: tool.inputSchema?.required || []
-        }
-      };
-    });
-    
-    console.error(`Returning ${toolsList.length} tools for initialize request`);
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        protocolVersion: '2025-06-18',
-        capabilities: {
-          tools: {}
-        },
-        serverInfo: {
-          name: 'mcp-keywords-everywhere',
-          version: '1.1.0'
-        }
-      }
-    };
-  } else if (request.method === 'tools/list') {
-    console.error('Processing tools/list request:', request.id);
-    
-    const toolsList = Object.keys(TOOLS).map(name => {
-      const tool = TOOLS[name];
-      return {
-        name,
-        description: tool.description,
-        inputSchema: {
-          type: "object",
-          properties: tool.inputSchema?.properties || {},
-          required: tool.inputSchema?.required || []
-        }
-      };
-    });
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        tools: toolsList
-      }
-    };
-  } else if (request.method === 'tools/call') {
-    const { name: toolName, arguments: toolArgs } = request.params;
-    
-    // Track tool call for analytics
-    if (expressReq) {
-      trackToolCall(toolName, expressReq);
-    }
-    
-    try {
-      console.error(`Processing tools/call for: ${toolName}`, toolArgs);
-      
-      const toolDef = TOOLS[toolName];
-      if (!toolDef) {
-        return {
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: `Tool not found: ${toolName}`
-          }
-        };
-      }
-      
-      const handler = handlers[toolName];
-      if (!handler) {
-        return {
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: `Handler not found for tool: ${toolName}`
-          }
-        };
-      }
-      
-      const result = await handler(toolArgs || {});
-      const formattedResult = formatResponse(toolName, result);
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{ type: "text", text: formattedResult }]
-        }
-      };
-    } catch (error) {
-      console.error(`Error in tools/call ${toolName}:`, error);
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{ type: "text", text: `Error: ${error.message}` }],
-          isError: true
-        }
-      };
-    }
-  } else if (request.method === 'invoke') {
-    const { tool, params } = request.params;
-    
-    try {
-      console.error(`Processing invoke request for tool: ${tool}`, params);
-      
-      // Find the tool in our TOOLS object
-      const toolDef = TOOLS[tool];
-      if (!toolDef) {
-        console.error(`Tool not found: ${tool}`);
-        return {
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: `Tool not found: ${tool}`
-          }
-        };
-      }
-      
-      // Call the handler with the params
-      const handler = handlers[tool];
-      if (!handler) {
-        console.error(`Handler not found for tool: ${tool}`);
-        return {
-          jsonrpc: '2.0',
-          id: request.id,
-          error: {
-            code: -32601,
-            message: `Handler not found for tool: ${tool}`
-          }
-        };
-      }
-      
-      // Execute the tool handler
-      const result = await handler(params);
-      const formattedResult = formatResponse(tool, result);
-      
-      console.error(`Tool ${tool} executed successfully`);
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{ type: "text", text: formattedResult }],
-          isError: false
-        }
-      };
-    } catch (error) {
-      console.error(`Error invoking tool ${tool}:`, error);
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        error: {
-          code: -32603,
-          message: error instanceof Error ? error.message : String(error)
-        }
-      };
+// Helper function to detect initialization, which clients may also send as a
+// single-message JSON-RPC batch
+function isInitializeMessage(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+// Helper function to keep API keys out of request logs
+function redactHeaders(headers) {
+  const redacted = { ...headers };
+  for (const name of ['x-api-key', 'authorization']) {
+    if (redacted[name]) {
+      redacted[name] = '[redacted]';
     }
-  } else {
+  }
+  return redacted;
+}
+
+// Rewrite the pre-Streamable-HTTP `invoke` method ({ tool, params }) into a
+// standard tools/call request. Only used when ENABLE_LEGACY_INVOKE is set.
+function translateLegacyInvoke(body) {
+  if (Array.isArray(body)) {
+    return body.map(translateLegacyInvoke);
+  }
+  if (body && body.method === 'invoke') {
+    const { tool, params } = body.params || {};
     return {
-      jsonrpc: '2.0',
-      id: request.id,
-      error: {
-        code: -32601,
-        message: `Method not supported: ${request.method}`
-      }
+      ...body,
+      method: 'tools/call',
+      params: { name: tool, arguments: params || {} }
     };
   }
+  return body;
 }
 
 async function main() {
   try {
     console.error("Starting Keywords Everywhere MCP server...");
+    startRankScheduler();
     await runServer();
   } catch (error) {
     console.error("Fatal error running server:", error);
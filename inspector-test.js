@@ -1,55 +1,91 @@
 import axios from 'axios';
+import { parseMcpResponse, startMockServer } from './scripts/mock-server.js';
+
+// --mock tests this server in mock mode instead of one already on port 3000
+const MOCK = process.argv.includes('--mock');
 
 async function testWithInspector() {
+  let mockServer = null;
   try {
     console.log('Testing MCP server with Inspector...');
+    if (MOCK) {
+      mockServer = await startMockServer();
+    }
+    const serverUrl = mockServer ? `${mockServer.url}/mcp` : 'http://localhost:3000/mcp';
     
     // Step 1: Initialize the server
     console.log('\nSending initialize request...');
-    const initResponse = await axios.post('http://localhost:3000/mcp', {
+    const initResponse = await axios.post(serverUrl, {
       jsonrpc: '2.0',
       id: 1,
-      method: 'initialize'
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'inspector-test', version: '1.0.0' }
+      }
     }, {
       headers: {
         'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
         'MCP-Protocol-Version': '2025-06-18'
       }
     });
     
-    console.log('Initialize Response:', JSON.stringify(initResponse.data, null, 2));
+    const initResult = parseMcpResponse(initResponse);
+    console.log('Initialize Response:', JSON.stringify(initResult, null, 2));
     console.log('Session ID:', initResponse.headers['mcp-session-id']);
     
     // Step 2: List available tools
-    if (initResponse.data && initResponse.data.result && initResponse.data.result.tools) {
+    if (initResult && initResult.result) {
+      const listResponse = await axios.post(serverUrl, {
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/list'
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          'Mcp-Session-Id': initResponse.headers['mcp-session-id'],
+          'MCP-Protocol-Version': '2025-06-18'
+        }
+      });
+      
       console.log('\nAvailable tools:');
-      initResponse.data.result.tools.forEach(tool => {
+      parseMcpResponse(listResponse).result.tools.forEach(tool => {
         console.log(`- ${tool.name}: ${tool.description}`);
       });
     }
     
     // Step 3: Test a tool invocation if initialization was successful
-    if (initResponse.data && initResponse.data.result) {
+    if (initResult && initResult.result) {
       const sessionId = initResponse.headers['mcp-session-id'];
       
       console.log('\nTesting tool invocation (get_credits)...');
-      const toolResponse = await axios.post('http://localhost:3000/mcp', {
+      const toolResponse = await axios.post(serverUrl, {
         jsonrpc: '2.0',
-        id: 2,
-        method: 'invoke',
+        id: 3,
+        method: 'tools/call',
         params: {
-          tool: 'get_credits',
-          params: {}
+          name: 'get_credits',
+          arguments: {}
         }
       }, {
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
           'Mcp-Session-Id': sessionId,
           'MCP-Protocol-Version': '2025-06-18'
         }
       });
       
-      console.log('Tool Response:', JSON.stringify(toolResponse.data, null, 2));
+      const toolResult = parseMcpResponse(toolResponse);
+      console.log('Tool Response:', JSON.stringify(toolResult, null, 2));
+      if (!toolResult?.result || toolResult.result.isError) {
+        process.exitCode = 1;
+      }
+    } else {
+      process.exitCode = 1;
     }
     
   } catch (error) {
@@ -61,6 +97,9 @@ async function testWithInspector() {
     } else if (error.request) {
       console.error('No response received. Request details:', error.request._currentUrl);
     }
+    process.exitCode = 1;
+  } finally {
+    await mockServer?.close();
   }
 }
 
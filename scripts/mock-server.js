@@ -0,0 +1,93 @@
+// Shared by test-client.js, inspector-test.js and the tests in test/: start
+// index.js as a local HTTP server and read its MCP responses
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Streamable HTTP servers may answer with an SSE stream instead of plain JSON
+export function parseMcpResponse(response) {
+  if (typeof response.data !== 'string') {
+    return response.data;
+  }
+  const dataLines = response.data
+    .split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice(6)));
+  return dataLines[dataLines.length - 1];
+}
+
+// Spawn index.js in HTTP mode on a free port, with its data files in a
+// temporary directory; resolves once /health answers
+export async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ke-mcp-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT_DIR, 'index.js')], {
+    env: {
+      ...process.env,
+      TRANSPORT_TYPE: 'http',
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      ANALYTICS_FILE: path.join(dataDir, 'analytics.json'),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const url = `http://127.0.0.1:${port}`;
+  const close = async () => {
+    child.kill('SIGTERM');
+    await waitForExit(child.pid);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + 10000;
+  while (true) {
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) {
+        break;
+      }
+    } catch {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      await close();
+      throw new Error('HTTP server did not start');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return { url, dataDir, close };
+}
+
+// HTTP server in mock mode (KE_MOCK=1, no network or API key needed)
+export function startMockServer() {
+  return startServer({ KE_MOCK: '1' });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// The server saves its files on SIGTERM; wait until it has exited
+export async function waitForExit(pid, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (pid && Date.now() < deadline) {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
@@ -0,0 +1,59 @@
+// Types for src/errors.js, which index.js imports directly as JavaScript
+
+export type ErrorKind = "auth" | "payment" | "budget" | "validation" | "rate_limit" | "upstream" | "network";
+
+export type ErrorCode =
+  | "missing_api_key"
+  | "invalid_api_key"
+  | "forbidden"
+  | "insufficient_credits"
+  | "subscription_required"
+  | "payment_required"
+  | "budget_exceeded"
+  | "invalid_request"
+  | "unsupported_country"
+  | "unsupported_currency"
+  | "rate_limited"
+  | "upstream_error"
+  | "api_error"
+  | "network_error"
+  | "timeout";
+
+export interface KeywordsEverywhereErrorJSON {
+  kind: ErrorKind;
+  code: ErrorCode;
+  message: string;
+  retryable: boolean;
+  status?: number;
+  credits?: number;
+}
+
+export const ERROR_KINDS: ErrorKind[];
+export const MAX_RETRIES: number;
+
+export class KeywordsEverywhereError extends Error {
+  constructor(
+    kind: ErrorKind,
+    code: ErrorCode,
+    message: string,
+    options?: { status?: number; retryable?: boolean; credits?: number; cause?: unknown }
+  );
+  kind: ErrorKind;
+  code: ErrorCode;
+  status?: number;
+  retryable: boolean;
+  credits?: number;
+  cause?: unknown;
+  toJSON(): KeywordsEverywhereErrorJSON;
+}
+
+// Returns errors that did not come from the HTTP request unchanged
+export function classifyApiError(error: unknown): unknown;
+
+export function retryDelay(error: unknown, retryCount: number, baseDelayMs?: number): number | null;
+
+export function toolErrorResult(error: unknown): {
+  content: { type: "text"; text: string }[];
+  isError: true;
+  _meta?: { error: KeywordsEverywhereErrorJSON };
+};
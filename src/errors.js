@@ -0,0 +1,151 @@
+// Error taxonomy shared by index.js and src/index.ts. Every failed API call is
+// turned into a KeywordsEverywhereError with a kind (what went wrong), a stable
+// code clients can branch on, and whether retrying can help.
+
+export const ERROR_KINDS = ['auth', 'payment', 'budget', 'validation', 'rate_limit', 'upstream', 'network'];
+
+// Transient failures (429, 5xx, network) are retried this many times
+export const MAX_RETRIES = 3;
+
+// Connection failures that are worth retrying; anything else without a
+// response is a bug in the request, not the network
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+export class KeywordsEverywhereError extends Error {
+  constructor(kind, code, message, { status, retryable = false, credits, cause } = {}) {
+    super(message);
+    this.name = 'KeywordsEverywhereError';
+    this.kind = kind;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.credits = credits;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  // Machine-readable form returned with tool errors
+  toJSON() {
+    const json = { kind: this.kind, code: this.code, message: this.message, retryable: this.retryable };
+    if (this.status !== undefined) {
+      json.status = this.status;
+    }
+    if (typeof this.credits === 'number') {
+      json.credits = this.credits;
+    }
+    return json;
+  }
+}
+
+// Turn an axios error (or the mock's look-alike) into a KeywordsEverywhereError.
+// Errors that didn't come from the HTTP request are returned unchanged.
+export function classifyApiError(error) {
+  if (error instanceof KeywordsEverywhereError) {
+    return error;
+  }
+
+  const status = error?.response?.status;
+  if (!status) {
+    // Includes axios errors such as ERR_CANCELED, which retrying can't fix
+    if (!NETWORK_ERROR_CODES.has(error?.code)) {
+      return error;
+    }
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new KeywordsEverywhereError(
+      'network',
+      timedOut ? 'timeout' : 'network_error',
+      `Could not reach the Keywords Everywhere API: ${error.message}`,
+      { retryable: true, cause: error }
+    );
+  }
+
+  const body = error.response.data;
+  const apiMessage = String(body?.message || (typeof body === 'string' && body) || error.message);
+  const options = {
+    status,
+    cause: error,
+    credits: typeof body?.credits === 'number' ? body.credits : undefined
+  };
+  const mentions = (pattern) => pattern.test(apiMessage);
+
+  if (status === 400) {
+    // The API also reports some account problems as a 400
+    if (mentions(/credit/i)) {
+      return new KeywordsEverywhereError('payment', 'insufficient_credits',
+        `Bad Request (400): ${apiMessage}. You may need to add more credits to your Keywords Everywhere account.`, options);
+    }
+    if (mentions(/subscription|plan/i)) {
+      return new KeywordsEverywhereError('payment', 'subscription_required',
+        `Bad Request (400): ${apiMessage}. This may be due to a subscription plan limitation. Please check your current plan.`, options);
+    }
+    if (mentions(/limit|rate/i)) {
+      return new KeywordsEverywhereError('rate_limit', 'rate_limited',
+        `Bad Request (400): ${apiMessage}. You may have hit a rate limit. Try again later.`, options);
+    }
+    return new KeywordsEverywhereError('validation', 'invalid_request', `Bad Request (400): ${apiMessage}`, options);
+  }
+
+  if (status === 401) {
+    return new KeywordsEverywhereError('auth', 'invalid_api_key', 'Authentication failed (401): Please check your API key', options);
+  }
+
+  if (status === 402) {
+    // The documented message covers both cases; narrow it down when we can
+    const credits = mentions(/credit/i);
+    const subscription = mentions(/subscription|plan/i);
+    const code = credits && !subscription ? 'insufficient_credits'
+      : subscription && !credits ? 'subscription_required'
+      : options.credits === 0 ? 'insufficient_credits'
+      : 'payment_required';
+    return new KeywordsEverywhereError('payment', code,
+      `Payment required (402): ${apiMessage}. Check your Keywords Everywhere plan and credit balance.`, options);
+  }
+
+  if (status === 403) {
+    return new KeywordsEverywhereError('auth', 'forbidden', `Access denied (403): ${apiMessage}`, options);
+  }
+
+  if (status === 429) {
+    return new KeywordsEverywhereError('rate_limit', 'rate_limited',
+      'Rate limit exceeded (429): Too many requests. Please try again later.', { ...options, retryable: true });
+  }
+
+  if (status >= 500) {
+    return new KeywordsEverywhereError('upstream', 'upstream_error',
+      `Keywords Everywhere API unavailable (${status}): ${apiMessage}`, { ...options, retryable: true });
+  }
+
+  return new KeywordsEverywhereError('upstream', 'api_error', `API Error (${status}): ${apiMessage}`, options);
+}
+
+// Delay before the next attempt (1x, 2x, 4x the base delay), or null when the
+// error isn't transient or the retries are used up
+export function retryDelay(error, retryCount, baseDelayMs = 1000) {
+  if (!(error instanceof KeywordsEverywhereError) || !error.retryable || retryCount >= MAX_RETRIES) {
+    return null;
+  }
+  return Math.pow(2, retryCount) * baseDelayMs;
+}
+
+// Tool result for a failed call. Taxonomy errors add their code (and the
+// balance, when known) to the text and the full details under _meta.error.
+export function toolErrorResult(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  if (!(error instanceof KeywordsEverywhereError)) {
+    return { content: [{ type: 'text', text: `Error: ${message}` }], isError: true };
+  }
+
+  let text = `Error: ${message}\nError code: ${error.code}`;
+  if (typeof error.credits === 'number') {
+    text += `\nCredits remaining: ${error.credits}`;
+  }
+  return {
+    content: [{ type: 'text', text }],
+    isError: true,
+    _meta: { error: error.toJSON() }
+  };
+}
@@ -1,14 +1,97 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 import axios from "axios";
+import { KeywordsEverywhereError, classifyApiError, retryDelay, toolErrorResult } from "./errors.js";
 
 // Configuration schema for smithery.yaml
 export const configSchema = z.object({
-  KEYWORDS_EVERYWHERE_API_KEY: z.string().describe("API key for Keywords Everywhere")
+  KEYWORDS_EVERYWHERE_API_KEY: z.string().describe("API key for Keywords Everywhere"),
+  DEFAULT_COUNTRY: z.string().optional().describe("Default country code when a tool call doesn't specify one (empty for Global)"),
+  DEFAULT_CURRENCY: z.string().optional().describe("Default currency code when a tool call doesn't specify one (e.g., 'usd')")
 });
 
 // Constants
 const BASE_URL = "https://api.keywordseverywhere.com/v1";
+const REFERENCE_DATA_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+type ReferenceKind = "countries" | "currencies";
+
+// Response shapes, as documented in References/*.md
+interface KeywordDataItem {
+  keyword: string;
+  vol: number;
+  cpc: { currency: string; value: string };
+  competition: number;
+  trend: { month: string; year: number; value: number }[];
+}
+
+interface RankingKeyword {
+  keyword: string;
+  estimated_monthly_traffic: number;
+  serp_position: number;
+}
+
+interface TrafficMetrics {
+  domain?: string;
+  url?: string;
+  estimated_monthly_traffic: number;
+  total_ranking_keywords: number;
+}
+
+interface Backlink {
+  anchor_text: string;
+  domain_source: string;
+  domain_target: string;
+  url_source: string;
+  url_target: string;
+}
+
+// Paid endpoints wrap their results in `data`
+interface ApiListResponse<T> {
+  data: T[];
+  credits?: number;
+  credits_consumed?: number;
+  time_taken?: number;
+}
+
+// Supported country/currency codes (code -> name), shared across server instances
+const referenceData: Record<ReferenceKind, { codes: Record<string, string> | null; fetchedAt: number }> = {
+  countries: { codes: null, fetchedAt: 0 },
+  currencies: { codes: null, fetchedAt: 0 },
+};
+
+// Levenshtein distance, used to suggest close matches for mistyped codes
+function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function findCloseMatches(value: string, codes: Record<string, string>, limit = 5) {
+  return Object.entries(codes)
+    .filter(([code]) => code !== "")
+    .map(([code, name]) => {
+      const lowerName = String(name).toLowerCase();
+      // Names containing the input ("malaysia" -> myr) rank with exact code typos
+      const distance = value.length >= 3 && lowerName.includes(value) ? 0 : editDistance(value, code);
+      return { code, name, distance };
+    })
+    .filter(match => match.distance <= Math.max(1, Math.floor(value.length / 3)))
+    .sort((a, b) => a.distance - b.distance || a.code.localeCompare(b.code))
+    .slice(0, limit);
+}
 
 export default function createServer({
   config,
@@ -48,53 +131,90 @@ export default function createServer({
       
       return response.data;
     } catch (error: any) {
-      // Extract detailed error information
-      const statusCode = error.response?.status;
-      const errorMessage = error.response?.data?.message || error.response?.data || error.message;
+      // classifyApiError hands back errors that didn't come from the HTTP
+      // exchange (a cancelled request, a bad config) unchanged
+      const classified = classifyApiError(error);
+      const apiError = classified instanceof KeywordsEverywhereError
+        ? classified
+        : new KeywordsEverywhereError("upstream", "api_error", `Keywords Everywhere API request failed: ${error.message}`, { cause: error });
       
       // Log detailed error information
       console.error(`Error calling Keywords Everywhere API (${endpoint}):`, {
-        statusCode,
-        errorMessage,
+        statusCode: error.response?.status,
+        errorMessage: error.response?.data?.message || error.response?.data || error.message,
+        code: apiError.code,
         endpoint,
         data
       });
       
-      // Handle specific error codes
-      if (statusCode === 400) {
-        // For 400 Bad Request errors, provide more helpful error messages
-        let enhancedMessage = `Bad Request (400): ${errorMessage}`;
-        
-        // Add specific guidance based on common 400 errors
-        if (errorMessage.includes("credit") || errorMessage.includes("credits")) {
-          enhancedMessage += ". You may need to add more credits to your Keywords Everywhere account.";
-        } else if (errorMessage.includes("subscription") || errorMessage.includes("plan")) {
-          enhancedMessage += ". This may be due to a subscription plan limitation. Please check your current plan.";
-        } else if (errorMessage.includes("limit") || errorMessage.includes("rate")) {
-          enhancedMessage += ". You may have hit a rate limit. Try again later.";
-        }
-        
-        const customError = new Error(enhancedMessage);
-        (customError as any).statusCode = statusCode;
-        (customError as any).originalError = error;
-        throw customError;
-      } else if (statusCode === 401) {
-        throw new Error(`Authentication failed (401): Please check your API key`);
-      } else if (statusCode === 429) {
-        // Rate limiting - implement retry with exponential backoff
-        if (retryCount < 3) {
-          const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s, 4s
-          console.error(`Rate limited. Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return makeApiCall(endpoint, data, retryCount + 1);
-        } else {
-          throw new Error(`Rate limit exceeded (429): Too many requests. Please try again later.`);
-        }
-      } else {
-        // For other errors, pass through with some additional context
-        throw new Error(`API Error (${statusCode || 'unknown'}): ${errorMessage}`);
+      // Rate limits, 5xx responses and network errors are retried after 1s, 2s and 4s
+      const delay = retryDelay(apiError, retryCount);
+      if (delay !== null) {
+        console.error(`${apiError.message} Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return makeApiCall(endpoint, data, retryCount + 1);
       }
+      throw apiError;
+    }
+  }
+
+  const defaultCountry = (config.DEFAULT_COUNTRY || "").toLowerCase();  // Global
+  const defaultCurrency = (config.DEFAULT_CURRENCY || "myr").toLowerCase();  // Malaysian Ringgit
+
+  // Fetch the code -> name map for "countries" or "currencies", cached for a day
+  async function getSupportedCodes(kind: ReferenceKind): Promise<Record<string, string>> {
+    const entry = referenceData[kind];
+    if (entry.codes && Date.now() - entry.fetchedAt < REFERENCE_DATA_TTL) {
+      return entry.codes;
     }
+
+    const data = await makeApiCall(kind);
+    // The API returns { code: name }; tolerate [{ code, name }] as well
+    const codes: Record<string, string> = Array.isArray(data)
+      ? Object.fromEntries(data.map((item: any) => [String(item.code).toLowerCase(), item.name]))
+      : Object.fromEntries(Object.entries(data || {}).map(([code, name]) => [code.toLowerCase(), String(name)]));
+
+    entry.codes = codes;
+    entry.fetchedAt = Date.now();
+    return codes;
+  }
+
+  // Normalize a country or currency code and check it against the supported list.
+  // Throws with close matches instead of letting the API spend credits on a bad code.
+  async function resolveCode(kind: ReferenceKind, value: string | undefined, defaultValue: string): Promise<string> {
+    const code = (value ?? defaultValue).trim().toLowerCase();
+
+    let codes: Record<string, string>;
+    try {
+      codes = await getSupportedCodes(kind);
+    } catch (error: any) {
+      // Don't block the call if the lookup itself fails; the API will validate
+      console.error(`Could not load supported ${kind}, skipping validation:`, error.message);
+      return code;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(codes, code)) {
+      return code;
+    }
+
+    const label = kind === "countries" ? "country" : "currency";
+    const matches = findCloseMatches(code, codes);
+    const suggestion = matches.length > 0
+      ? ` Did you mean: ${matches.map(match => `${match.code} (${match.name})`).join(", ")}?`
+      : "";
+    throw new KeywordsEverywhereError("validation", label === "country" ? "unsupported_country" : "unsupported_currency", `Unsupported ${label} code "${code}".${suggestion} Use get_${kind} for the full list.`);
+  }
+
+  const resolveCountry = (country?: string) => resolveCode("countries", country, defaultCountry);
+  const resolveCurrency = (currency?: string) => resolveCode("currencies", currency, defaultCurrency);
+
+  // Trailing "Credits Consumed" line for list responses
+  function formatCreditsConsumed(data: { credits_consumed?: number }) {
+    return typeof data?.credits_consumed === 'number' ? `\n\nCredits Consumed: ${data.credits_consumed}` : '';
+  }
+
+  function isListResponse<T>(data: any): data is ApiListResponse<T> {
+    return Boolean(data) && Array.isArray(data.data);
   }
 
   // Format response for different types of data
@@ -104,51 +224,56 @@ export default function createServer({
         return `Credit Balance: ${data[0]}`;
       
       case 'get_countries':
-        if (Array.isArray(data)) {
-          return data.map(country => `${country.code}: ${country.name}`).join('\n');
-        }
-        return JSON.stringify(data, null, 2);
-      
       case 'get_currencies':
+        // The API returns { code: name }; tolerate [{ code, name }] as well
         if (Array.isArray(data)) {
-          return data.map(currency => `${currency.code}: ${currency.name}`).join('\n');
+          return data.map(item => `${item.code}: ${item.name}`).join('\n');
+        }
+        if (data && typeof data === 'object') {
+          return Object.entries(data).map(([code, name]) => `${code || '(empty)'}: ${name}`).join('\n');
         }
         return JSON.stringify(data, null, 2);
       
       case 'get_keyword_data':
-        if (data.data && Array.isArray(data.data)) {
-          return data.data.map((item: any) => {
+        if (isListResponse<KeywordDataItem>(data)) {
+          return data.data.map(item => {
             return `${item.keyword}:
 - Search Volume: ${item.vol || 0}
 - CPC: ${item.cpc?.currency ? item.cpc.currency : 'RM'}${item.cpc?.value || '0.00'}
 - Competition: ${item.competition || 0}
 - Trend: ${item.trend && item.trend.length > 0 ? JSON.stringify(item.trend) : '[]'}`;
-          }).join("\n\n");
+          }).join("\n\n") + formatCreditsConsumed(data);
         }
         // Fallback for unexpected response structure
         return JSON.stringify(data, null, 2);
       
       case 'get_related_keywords':
       case 'get_pasf_keywords':
+        if (isListResponse<string>(data)) {
+          return data.data.map((keyword, index) => `${index + 1}. ${keyword}`).join("\n") +
+            formatCreditsConsumed(data);
+        }
+        return JSON.stringify(data, null, 2);
+      
       case 'get_domain_keywords':
       case 'get_url_keywords':
-        if (Array.isArray(data)) {
-          return data.map((item: any, index: number) => {
+        if (isListResponse<RankingKeyword>(data)) {
+          return data.data.map((item, index) => {
             return `${index + 1}. ${item.keyword}
-   - Search Volume: ${item.vol || 0}
-   - CPC: ${item.cpc?.currency ? item.cpc.currency : 'RM'}${item.cpc?.value || '0.00'}
-   - Competition: ${item.competition || 0}`;
-          }).join("\n\n");
+   - Estimated Monthly Traffic: ${item.estimated_monthly_traffic || 0}
+   - SERP Position: ${item.serp_position ?? 'n/a'}`;
+          }).join("\n\n") + formatCreditsConsumed(data);
         }
         return JSON.stringify(data, null, 2);
       
       case 'get_domain_traffic':
       case 'get_url_traffic':
-        if (data && typeof data === 'object') {
-          return `Traffic Metrics:
-- Total Keywords: ${data.totalKeywords || 0}
-- Total Traffic: ${data.totalTraffic || 0}
-- Traffic Cost: RM${data.trafficCost || 0}`;
+        if (isListResponse<TrafficMetrics>(data)) {
+          return data.data.map(item => {
+            return `Traffic Metrics for ${item.domain || item.url}:
+- Estimated Monthly Traffic: ${item.estimated_monthly_traffic || 0}
+- Total Ranking Keywords: ${item.total_ranking_keywords || 0}`;
+          }).join("\n\n");
         }
         return JSON.stringify(data, null, 2);
       
@@ -156,13 +281,13 @@ export default function createServer({
       case 'get_unique_domain_backlinks':
       case 'get_page_backlinks':
       case 'get_unique_page_backlinks':
-        if (Array.isArray(data)) {
-          return data.map((item: any, index: number) => {
-            return `${index + 1}. ${item.url}
-   - Domain Authority: ${item.da || 0}
-   - Page Authority: ${item.pa || 0}
-   - Spam Score: ${item.spamScore || 0}`;
-          }).join("\n\n");
+        if (isListResponse<Backlink>(data)) {
+          return data.data.map((item, index) => {
+            return `${index + 1}. ${item.url_source}
+   - Anchor Text: ${item.anchor_text ? `"${item.anchor_text}"` : '(empty)'}
+   - Source Domain: ${item.domain_source}
+   - Target URL: ${item.url_target}`;
+          }).join("\n\n") + formatCreditsConsumed(data);
         }
         return JSON.stringify(data, null, 2);
       
@@ -191,13 +316,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -221,13 +340,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -251,13 +364,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -271,11 +378,16 @@ export default function createServer({
       inputSchema: {
         keywords: z.array(z.string()).describe("List of keywords to analyze"),
         country: z.string().optional().describe("Country code (empty string for Global, 'us' for United States, etc.)"),
-        currency: z.string().optional().describe("Currency code (e.g., 'myr' for Malaysian Ringgit)")
+        currency: z.string().optional().describe("Currency code (e.g., 'myr' for Malaysian Ringgit)"),
+        dataSource: z.enum(["gkp", "cli"]).optional().describe("'gkp' for Google Keyword Planner data only, 'cli' for Google Keyword Planner & Clickstream data")
       }
     },
     async (request) => {
       try {
+        // Reject unsupported codes before any credits are spent
+        const country = await resolveCountry(request.country);
+        const currency = await resolveCurrency(request.currency);
+
         // Keywords Everywhere API expects "kw[]" format for each keyword
         const params = new URLSearchParams();
         
@@ -287,9 +399,9 @@ export default function createServer({
         }
         
         // Add other parameters
-        params.append("country", request.country || "");  // Default to global if not specified
-        params.append("currency", request.currency || "myr");  // Default to Malaysian Ringgit
-        params.append("dataSource", "cli");  // Use Google Keyword Planner & Clickstream data
+        params.append("country", country);
+        params.append("currency", currency);
+        params.append("dataSource", request.dataSource || "cli");  // Default to Google Keyword Planner & Clickstream data
         
         const result = await makeApiCall("get_keyword_data", params);
         const formattedResult = formatResponse("get_keyword_data", result);
@@ -300,13 +412,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -337,13 +443,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -374,13 +474,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -401,7 +495,7 @@ export default function createServer({
       try {
         const data = {
           domain: request.domain,
-          country: request.country || "",
+          country: await resolveCountry(request.country),
           num: request.num || 10
         };
         const result = await makeApiCall("get_domain_keywords", data);
@@ -413,13 +507,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -440,7 +528,7 @@ export default function createServer({
       try {
         const data = {
           url: request.url,
-          country: request.country || "",
+          country: await resolveCountry(request.country),
           num: request.num || 10
         };
         const result = await makeApiCall("get_url_keywords", data);
@@ -452,13 +540,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -476,11 +558,11 @@ export default function createServer({
     },
     async (request) => {
       try {
-        const data = {
-          domain: request.domain,
-          country: request.country || ""
-        };
-        const result = await makeApiCall("get_domain_traffic", data);
+        // The API takes a list of domains, so a single lookup sends one item
+        const params = new URLSearchParams();
+        params.append("domains[]", request.domain);
+        params.append("country", await resolveCountry(request.country));
+        const result = await makeApiCall("get_domain_traffic_metrics", params);
         const formattedResult = formatResponse("get_domain_traffic", result);
         return {
           content: [{
@@ -489,13 +571,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -513,11 +589,11 @@ export default function createServer({
     },
     async (request) => {
       try {
-        const data = {
-          url: request.url,
-          country: request.country || ""
-        };
-        const result = await makeApiCall("get_url_traffic", data);
+        // The API takes a list of URLs, so a single lookup sends one item
+        const params = new URLSearchParams();
+        params.append("urls[]", request.url);
+        params.append("country", await resolveCountry(request.country));
+        const result = await makeApiCall("get_url_traffic_metrics", params);
         const formattedResult = formatResponse("get_url_traffic", result);
         return {
           content: [{
@@ -526,13 +602,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -563,13 +633,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -600,13 +664,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -624,8 +682,9 @@ export default function createServer({
     },
     async (request) => {
       try {
+        // The page backlinks endpoints name this parameter "page"
         const data = {
-          url: request.url,
+          page: request.url,
           num: request.num || 10
         };
         const result = await makeApiCall("get_page_backlinks", data);
@@ -637,13 +696,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -661,8 +714,9 @@ export default function createServer({
     },
     async (request) => {
       try {
+        // The page backlinks endpoints name this parameter "page"
         const data = {
-          url: request.url,
+          page: request.url,
           num: request.num || 10
         };
         const result = await makeApiCall("get_unique_page_backlinks", data);
@@ -674,13 +728,7 @@ export default function createServer({
           }]
         };
       } catch (error: any) {
-        return {
-          content: [{
-            type: "text" as const,
-            text: "Error: " + (error instanceof Error ? error.message : String(error))
-          }],
-          isError: true
-        };
+        return toolErrorResult(error);
       }
     }
   );
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { parseMcpResponse, startMockServer } from './scripts/mock-server.js';
 
 // Configuration
 const LOCAL_SERVER = 'http://localhost:3000/mcp';
@@ -6,50 +7,70 @@ const SMITHERY_SERVER = 'https://mcp-keywords-everywhere.smithery.dev/mcp';
 
 async function testMcpServer() {
   // Determine which server to test based on command line argument
-  const serverUrl = process.argv[2] === 'local' ? LOCAL_SERVER : SMITHERY_SERVER;
-  console.log(`Testing MCP server at ${serverUrl}`);
+  const target = process.argv[2];
   
+  let mockServer = null;
   try {
+    if (target === 'mock') {
+      mockServer = await startMockServer();
+    }
+    const serverUrl = mockServer ? `${mockServer.url}/mcp` : target === 'local' ? LOCAL_SERVER : SMITHERY_SERVER;
+    console.log(`Testing MCP server at ${serverUrl}`);
+    
     // Step 1: Initialize the server
     console.log('\nSending initialize request...');
     const initResponse = await axios.post(serverUrl, {
       jsonrpc: '2.0',
       id: 1,
-      method: 'initialize'
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' }
+      }
     }, {
       headers: {
         'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
         'MCP-Protocol-Version': '2025-06-18'
       },
       timeout: 30000 // 30 second timeout
     });
     
-    console.log('Initialize Response:', JSON.stringify(initResponse.data, null, 2));
+    const initResult = parseMcpResponse(initResponse);
+    console.log('Initialize Response:', JSON.stringify(initResult, null, 2));
     console.log('Session ID:', initResponse.headers['mcp-session-id']);
     
     // Step 2: Test a tool invocation if initialization was successful
-    if (initResponse.data && initResponse.data.result) {
+    if (initResult && initResult.result) {
       const sessionId = initResponse.headers['mcp-session-id'];
       
       console.log('\nTesting tool invocation (get_credits)...');
       const toolResponse = await axios.post(serverUrl, {
         jsonrpc: '2.0',
         id: 2,
-        method: 'invoke',
+        method: 'tools/call',
         params: {
-          tool: 'get_credits',
-          params: {}
+          name: 'get_credits',
+          arguments: {}
         }
       }, {
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
           'Mcp-Session-Id': sessionId,
           'MCP-Protocol-Version': '2025-06-18'
         },
         timeout: 30000 // 30 second timeout
       });
       
-      console.log('Tool Response:', JSON.stringify(toolResponse.data, null, 2));
+      const toolResult = parseMcpResponse(toolResponse);
+      console.log('Tool Response:', JSON.stringify(toolResult, null, 2));
+      if (!toolResult?.result || toolResult.result.isError) {
+        process.exitCode = 1;
+      }
+    } else {
+      process.exitCode = 1;
     }
     
   } catch (error) {
@@ -61,14 +82,18 @@ async function testMcpServer() {
     } else if (error.request) {
       console.error('No response received. Request details:', error.request._currentUrl);
     }
+    process.exitCode = 1;
+  } finally {
+    await mockServer?.close();
   }
 }
 
 // Display usage information
 if (process.argv.length < 3) {
-  console.log('Usage: node test-client.js [local|smithery]');
+  console.log('Usage: node test-client.js [local|smithery|mock]');
   console.log('  local    - Test local server at http://localhost:3000/mcp');
   console.log('  smithery - Test deployed server at https://keywords-everywhere.smithery.dev/mcp');
+  console.log('  mock     - Start this server in mock mode (KE_MOCK=1) and test it offline');
   process.exit(1);
 }
 
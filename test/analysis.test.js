@@ -0,0 +1,463 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+// Analysis tools combine several API calls; the stub answers with fixed data
+// so the grouping and ranking logic can be checked exactly
+describe("analysis tools", () => {
+  const samples = loadReferenceSamples();
+  const volumes = {
+    "running": 5000,
+    "running shoes": 4000,
+    "trail running shoes": 900,
+    "best running shoes": 800,
+    "marathon training plan": 700,
+    "half marathon training": 600,
+    "running socks": 300,
+  };
+  const rankings = {
+    "ours.com": [["shoes", 5, 100], ["socks", 2, 50], ["laces", 1, 10]],
+    "rival.com": [["shoes", 1, 900], ["socks", 8, 20], ["boots", 3, 400], ["insoles", 9, 5]],
+    "other.com": [["shoes", 3, 300], ["socks", 1, 60], ["boots", 1, 700], ["sandals", 2, 250]],
+  };
+  const referrers = {
+    "ours.com": ["shared.net"],
+    "rival.com": ["shared.net", "news.org", "blog.io", "forum.com"],
+    "other.com": ["news.org", "blog.io", "wiki.org"],
+    "third.com": ["news.org"],
+    "www-linked.com": ["www.news.org", "WWW.Blog.io"],
+  };
+  const anchors = [
+    ...Array(6).fill("Running Shoes"),
+    ...Array(2).fill("best running shoes for women"),
+    ...Array(3).fill("Acme"),
+    "https://acme.com",
+    "acme.com",
+    ...Array(3).fill("Click here!"),
+    ...Array(2).fill(""),
+    ...Array(2).fill("great article"),
+  ];
+  const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+  const series = (startYear, values) => values.map((value, i) => ({ month: MONTHS[i % 12], year: startYear + Math.floor(i / 12), value }));
+  const trends = {
+    "rising": series(2024, [100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200, 210]),
+    // Thirteen months, newest first, to check sorting and the same-month YoY
+    "declining": series(2023, [260, 250, 240, 230, 220, 210, 200, 190, 180, 170, 160, 150, 140]).reverse(),
+    "seasonal": series(2024, [100, 100, 100, 100, 100, 400, 100, 100, 100, 100, 100, 100]),
+  };
+  // get_keyword_data batches of 100; a batch containing "broken keyword" fails,
+  // so the 101st keyword in this list lands alone in a failed batch
+  const withFailedBatch = (keywords) => [...keywords, ...Array.from({ length: 100 - keywords.length }, (_, i) => `filler ${i}`), "broken keyword"];
+  // Related / PASF results for find_questions, by seed
+  const expansions = {
+    "jogging": [["how to start jogging", "jogging shoes"], ["what is a good jogging pace"]],
+    "how to start jogging": [["how to start jogging at 40"], ["best app for jogging beginners"]],
+    "jogging shoes": [["are jogging shoes worth it", "jogging shoes"], []],
+    "what is a good jogging pace": [[], ["cara mula berjoging"]],
+    "jogging drills": [withFailedBatch([]).map(keyword => keyword.replace("filler", "how to do jogging drill")), []],
+  };
+  const expansion = (keyword, index, fallback) => {
+    const data = expansions[keyword] ? expansions[keyword][index] : keyword === "running" ? fallback.data : [];
+    return { status: 200, body: { data, credits_consumed: data.length * 2 } };
+  };
+  let stub;
+  let server;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return { text: result.content[0].text, structured: result.structuredContent };
+  }
+
+  before(async () => {
+    stub = await startApiStub({
+      ...samples,
+      get_related_keywords: ({ json }) => expansion(json.keyword, 0, { data: ["running shoes", "best running shoes", "marathon training plan", "running socks"], credits_consumed: 8 }),
+      get_pasf_keywords: ({ json }) => expansion(json.keyword, 1, { data: ["trail running shoes", "half marathon training"], credits_consumed: 4 }),
+      get_keyword_data: ({ form }) => form.getAll("kw[]").includes("broken keyword")
+        ? { status: 400, body: { message: "Submitted request data is invalid" } }
+        : {
+            status: 200,
+            body: {
+              data: form.getAll("kw[]").map(keyword => ({
+                keyword,
+                vol: volumes[keyword] || 0,
+                cpc: { currency: "$", value: "1.50" },
+                competition: 0.5,
+                trend: trends[keyword] || []
+              })),
+              credits_consumed: form.getAll("kw[]").length
+            }
+          },
+      get_domain_keywords: ({ json }) => rankings[json.domain]
+        ? {
+            status: 200,
+            body: {
+              data: rankings[json.domain].map(([keyword, serp_position, estimated_monthly_traffic]) => ({ keyword, serp_position, estimated_monthly_traffic })),
+              credits_consumed: rankings[json.domain].length * 2
+            }
+          }
+        : { status: 400, body: { message: "Invalid domain" } },
+      get_domain_backlinks: {
+        data: anchors.map((anchor_text, i) => ({
+          anchor_text,
+          domain_source: `site${i}.com`,
+          domain_target: "acme.com",
+          url_source: `https://site${i}.com/`,
+          url_target: "https://acme.com/"
+        })),
+        credits_consumed: anchors.length
+      },
+      get_unique_domain_backlinks: ({ json }) => ({
+        status: 200,
+        body: {
+          data: referrers[json.domain].map(source => ({
+            anchor_text: source === "blog.io" ? "" : `${source} on ${json.domain}`,
+            domain_source: source,
+            domain_target: json.domain,
+            url_source: `https://${source}/post`,
+            url_target: `https://${json.domain}/`
+          })),
+          credits_consumed: referrers[json.domain].length * 5
+        }
+      }),
+    });
+    server = await connectStdioClient(stub.url);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  describe("cluster_keywords", () => {
+    test("expands a seed and groups terms by topic", async () => {
+      const { text, structured } = await callTool("cluster_keywords", { seed: "running", num: 5 });
+      const clusters = Object.fromEntries(structured.clusters.map(c => [c.head, c.keywords.map(k => k.keyword)]));
+
+      assert.equal(structured.keywords_total, 7);
+      assert.deepEqual(clusters["running shoes"], ["running shoes", "trail running shoes", "best running shoes"]);
+      assert.deepEqual(clusters["marathon training plan"], ["marathon training plan", "half marathon training"]);
+      assert.equal(structured.clusters.find(c => c.head === "running shoes").total_volume, 5700);
+      assert.equal(structured.clusters[0].avg_cpc, 1.5);
+      // 8 related + 4 PASF + 7 keywords
+      assert.equal(structured.credits_consumed, 19);
+      assert.match(text, /^1\. running shoes \(3 keywords\)\n   Total Volume: 5700 \| Avg CPC: \$1\.50$/m);
+      assert.match(text, /^2\. running \(1 keyword\)$/m);
+    });
+
+    test("clusters an explicit list without expanding it", async () => {
+      const before = stub.requests.filter(r => r.endpoint === "get_related_keywords").length;
+      const { structured } = await callTool("cluster_keywords", { keywords: ["Running Socks", "running socks", "best running shoes"] });
+      assert.equal(stub.requests.filter(r => r.endpoint === "get_related_keywords").length, before);
+      assert.equal(structured.keywords_total, 2);
+      assert.equal(structured.seed, undefined);
+    });
+
+    test("terms from failed batches have unknown volume", async () => {
+      const { text, structured } = await callTool("cluster_keywords", { keywords: withFailedBatch(["running shoes"]) });
+      const terms = structured.clusters.flatMap(cluster => cluster.keywords);
+      assert.deepEqual(terms.find(item => item.keyword === "broken keyword"), { keyword: "broken keyword" });
+      assert.equal(terms.find(item => item.keyword === "filler 0").vol, 0);
+      assert.equal(structured.errors[0].keywords[0], "broken keyword");
+      assert.match(text, /^   - broken keyword \(volume unknown\)$/m);
+      assert.match(text, /No keyword data for 1 failed batch\(es\):\n- broken keyword: Bad Request \(400\)/);
+    });
+  });
+
+  describe("keyword_gap", () => {
+    test("reports missing, weaker and shared keywords sorted by traffic", async () => {
+      const { text, structured } = await callTool("keyword_gap", {
+        domain: "https://Ours.com/",
+        competitors: ["rival.com", "other.com", "ours.com"],
+        country: "us"
+      });
+
+      assert.deepEqual(structured.competitors, ["rival.com", "other.com"]);
+      assert.deepEqual(structured.missing.map(k => k.keyword), ["boots", "sandals", "insoles"]);
+      assert.equal(structured.missing[0].best_competitor, "other.com");
+      assert.equal(structured.missing[0].estimated_monthly_traffic, 700);
+      assert.deepEqual(structured.weaker.map(k => [k.keyword, k.serp_position, k.best_competitor_position]), [["shoes", 5, 1], ["socks", 2, 1]]);
+      assert.deepEqual(structured.shared.map(k => k.keyword), ["shoes", "socks"]);
+      assert.equal(structured.credits_consumed, 22);
+      assert.match(text, /^\| boots \| 700 \| other\.com \| 1 \|$/m);
+      assert.match(text, /^\| shoes \| 900 \| 5 \| 1 \| 3 \|$/m);
+    });
+
+    test("skips competitors that fail and limits each list", async () => {
+      const { text, structured } = await callTool("keyword_gap", {
+        domain: "ours.com",
+        competitors: ["rival.com", "broken.com"],
+        limit: 1
+      });
+      assert.deepEqual(structured.errors.map(e => e.domain), ["broken.com"]);
+      assert.deepEqual(structured.missing.map(k => k.keyword), ["boots"]);
+      assert.equal(structured.totals.missing, 2);
+      assert.match(text, /Missing \(competitors rank, you don't\) \(top 1 of 2\):/);
+      assert.match(text, /- broken\.com: Bad Request \(400\): Invalid domain/);
+    });
+  });
+
+  describe("backlink_intersect", () => {
+    test("lists referring domains linking to K competitors but not to us", async () => {
+      const { text, structured } = await callTool("backlink_intersect", {
+        domain: "ours.com",
+        competitors: ["rival.com", "other.com", "third.com"]
+      });
+
+      assert.deepEqual(structured.data.map(d => [d.domain_source, d.competitors]), [
+        ["news.org", ["rival.com", "other.com", "third.com"]],
+        ["blog.io", ["rival.com", "other.com"]],
+      ]);
+      assert.deepEqual(structured.data[0].samples[0], {
+        competitor: "rival.com",
+        anchor_text: "news.org on rival.com",
+        url_source: "https://news.org/post",
+        url_target: "https://rival.com/"
+      });
+      assert.equal(structured.credits_consumed, 45);
+      assert.match(text, /^1\. news\.org \(links to rival\.com, other\.com, third\.com\)$/m);
+      assert.match(text, /- other\.com: \(empty anchor\) on https:\/\/blog\.io\/post -> https:\/\/other\.com\//);
+    });
+
+    test("minCompetitors of 1 includes every referring domain we lack", async () => {
+      const { structured } = await callTool("backlink_intersect", {
+        domain: "ours.com",
+        competitors: ["rival.com", "other.com"],
+        minCompetitors: 1
+      });
+      assert.deepEqual(structured.data.map(d => d.domain_source), ["blog.io", "news.org", "forum.com", "wiki.org"]);
+    });
+
+    test("www. and bare referring domains are the same domain", async () => {
+      const { structured } = await callTool("backlink_intersect", {
+        domain: "third.com",
+        competitors: ["www-linked.com", "other.com"],
+        minCompetitors: 1
+      });
+      assert.deepEqual(structured.data.map(d => [d.domain_source, d.competitors]), [
+        ["blog.io", ["www-linked.com", "other.com"]],
+        ["wiki.org", ["other.com"]],
+      ]);
+    });
+  });
+
+  describe("analyze_anchor_text", () => {
+    test("classifies anchors and warns about over-optimization", async () => {
+      const { text, structured } = await callTool("analyze_anchor_text", {
+        domain: "acme.com",
+        targetKeywords: ["running shoes"],
+        num: 20
+      });
+
+      const counts = Object.fromEntries(structured.distribution.map(row => [row.category, row.count]));
+      assert.deepEqual(counts, { exact: 6, partial: 2, branded: 3, naked_url: 2, generic: 3, empty: 2, other: 2 });
+      assert.deepEqual(structured.top_anchors[0], { anchor_text: "running shoes", category: "exact", count: 6 });
+      assert.equal(structured.warnings.length, 3);
+      assert.match(text, /^\| Exact match \| 6 \| 30% \|$/m);
+      assert.match(text, /Exact-match anchors are 30% of links/);
+      assert.match(text, /Keyword-rich anchors \(exact \+ partial\) are 40% of links/);
+      assert.match(text, /The anchor "running shoes" is used on 30% of links/);
+    });
+
+    test("defaults the brand to the domain name and requires a target", async () => {
+      const { structured } = await callTool("analyze_anchor_text", { domain: "www.acme.com" });
+      assert.equal(structured.distribution.find(row => row.category === "branded").count, 3);
+      assert.match(structured.warnings.at(-1), /No targetKeywords given/);
+
+      const result = await server.client.callTool({ name: "analyze_anchor_text", arguments: {} });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /Provide either a domain or a url/);
+    });
+  });
+
+  describe("analyze_keyword_trends", () => {
+    test("computes growth, peaks, seasonality and direction", async () => {
+      const { text, structured } = await callTool("analyze_keyword_trends", { keywords: ["rising", "declining", "seasonal", "unknown"] });
+      const byKeyword = Object.fromEntries(structured.data.map(item => [item.keyword, item]));
+
+      // Twelve months end eleven months back, so there is no year-over-year figure
+      assert.deepEqual(byKeyword.rising, {
+        keyword: "rising",
+        vol: 0,
+        months: 12,
+        classification: "rising",
+        yoy_growth: null,
+        growth_3m: 17.6,
+        peak: { month: "December", year: 2024, value: 210 },
+        trough: { month: "January", year: 2024, value: 100 },
+        seasonality_index: 1.35,
+        sparkline: "▁▂▂▃▄▄▅▅▆▇▇█"
+      });
+      assert.equal(byKeyword.declining.classification, "declining");
+      assert.equal(byKeyword.declining.yoy_growth, -46.2);
+      assert.equal(byKeyword.seasonal.classification, "stable");
+      assert.equal(byKeyword.seasonal.seasonality_index, 3.2);
+      assert.deepEqual(byKeyword.seasonal.peak, { month: "June", year: 2024, value: 400 });
+      assert.equal(byKeyword.unknown.classification, "no_data");
+
+      assert.match(text, /^\| rising \| ▁▂▂▃▄▄▅▅▆▇▇█ \| n\/a \| \+17\.6% \| Dec 2024 \(210\) \| Jan 2024 \(100\) \| 1\.35 \| rising \|$/m);
+      assert.match(text, /^\| unknown \| no trend data \|/m);
+    });
+
+    test("reports keywords from failed batches", async () => {
+      const { text, structured } = await callTool("analyze_keyword_trends", { keywords: withFailedBatch(["rising"]) });
+      assert.equal(structured.data.length, 100);
+      assert.deepEqual(structured.errors, [{ batch: 2, keywords: ["broken keyword"], message: "Bad Request (400): Submitted request data is invalid" }]);
+      assert.match(text, /No keyword data for 1 failed batch\(es\):\n- broken keyword: Bad Request \(400\): Submitted request data is invalid\n\nCredits Consumed: 100$/);
+    });
+  });
+
+  describe("score_keywords", () => {
+    test("ranks keywords with a score breakdown and flags quick wins", async () => {
+      const { text, structured } = await callTool("score_keywords", {
+        keywords: ["socks", "shoes", "running socks", "running shoes"],
+        domain: "ours.com"
+      });
+
+      assert.deepEqual(structured.data.map(k => [k.keyword, k.score, k.quick_win]), [
+        ["running shoes", 71, false],
+        ["running socks", 59.8, false],
+        ["shoes", 45, true],
+        ["socks", 35, false],
+      ]);
+      assert.deepEqual(structured.data[0].breakdown, { volume: 36, competition: 15, cpc: 20, quick_win: 0 });
+      assert.equal(structured.data[2].serp_position, 5);
+      assert.equal(structured.data[3].serp_position, 2);
+      assert.match(text, /^\| 3 \| shoes ⚡ \| 45 \| 0 \| 0\.5 \| 1\.50 \| 5 \| 0 \+ 15 \+ 20 \+ 10 \|$/m);
+      assert.match(text, /Quick wins \(⚡, ours\.com ranks 4-20\): 1/);
+    });
+
+    test("weights are configurable", async () => {
+      const { structured } = await callTool("score_keywords", {
+        keywords: ["running shoes"],
+        weights: { volume: 1, competition: 0, cpc: 0 }
+      });
+      assert.equal(structured.data[0].score, 72);
+      assert.deepEqual(structured.weights, { volume: 1, competition: 0, cpc: 0 });
+    });
+
+    test("rejects all-zero weights before calling the API", async () => {
+      const count = stub.requests.length;
+      const result = await server.client.callTool({
+        name: "score_keywords",
+        arguments: { keywords: ["running shoes"], domain: "example.com", weights: { volume: 0, competition: 0, cpc: 0 } }
+      });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /At least one score weight must be positive/);
+      assert.equal(stub.requests.length, count);
+    });
+
+    test("reports keywords from failed batches", async () => {
+      const { text, structured } = await callTool("score_keywords", { keywords: withFailedBatch(["running shoes"]), bypassCache: true });
+      assert.equal(structured.data.length, 100);
+      assert.deepEqual(structured.errors, [{ batch: 2, keywords: ["broken keyword"], message: "Bad Request (400): Submitted request data is invalid" }]);
+      assert.match(text, /No keyword data for 1 failed batch\(es\):\n- broken keyword: Bad Request \(400\): Submitted request data is invalid\n\nCredits Consumed: \d+$/);
+    });
+  });
+
+  describe("classify_intent", () => {
+    test("labels English and Malay keywords from modifier dictionaries", async () => {
+      const { text, structured } = await callTool("classify_intent", {
+        keywords: [
+          "how to tie running shoes",
+          "best running shoes 2024",
+          "buy running shoes near me",
+          "acme login",
+          "running shoes",
+          "harga kasut lari murah",
+          "kasut lari terbaik",
+          "cara memilih kasut lari",
+          "how to cancel acme subscription",
+          "acme.com",
+        ],
+        brandTerms: ["Acme"]
+      });
+      const intents = Object.fromEntries(structured.data.map(item => [item.keyword, [item.intent, item.confidence]]));
+
+      assert.deepEqual(intents, {
+        "how to tie running shoes": ["informational", "high"],
+        "best running shoes 2024": ["commercial", "high"],
+        "buy running shoes near me": ["transactional", "high"],
+        "acme login": ["navigational", "high"],
+        "running shoes": ["informational", "low"],
+        "harga kasut lari murah": ["transactional", "high"],
+        "kasut lari terbaik": ["commercial", "high"],
+        "cara memilih kasut lari": ["informational", "high"],
+        // Brand plus "how to" (not also "how"): ties go to informational;
+        // "subscription" is not "subscribe"
+        "how to cancel acme subscription": ["informational", "medium"],
+        "acme.com": ["navigational", "high"],
+      });
+      assert.deepEqual(structured.summary, { informational: 4, navigational: 2, commercial: 2, transactional: 2 });
+      assert.match(text, /^\| buy running shoes near me \| transactional \| high \| buy, near me \|$/m);
+    });
+
+    test("languages limit the dictionaries used", async () => {
+      const { structured } = await callTool("classify_intent", { keywords: ["harga kasut"], languages: ["en"] });
+      assert.deepEqual(structured.data[0], { keyword: "harga kasut", intent: "informational", confidence: "low", signals: [] });
+    });
+
+    test("a matched phrase does not also count its own words", async () => {
+      const { structured } = await callTool("classify_intent", { keywords: ["how to buy shoes for sale", "official site login"] });
+      assert.deepEqual(structured.data.map(item => item.signals), [
+        ["informational:how to", "transactional:buy", "transactional:for sale"],
+        ["navigational:login", "navigational:official site"],
+      ]);
+    });
+
+    test("includeIntent annotates related and PASF keywords in place", async () => {
+      const { text, structured } = await callTool("get_pasf_keywords", { keyword: "running", includeIntent: true });
+      assert.deepEqual(structured.data, [
+        { keyword: "trail running shoes", intent: "informational" },
+        { keyword: "half marathon training", intent: "informational" },
+      ]);
+      assert.match(text, /^1\. trail running shoes \[informational\]$/m);
+
+      const plain = await callTool("get_related_keywords", { keyword: "running" });
+      assert.equal(typeof plain.structured.data[0], "string");
+    });
+  });
+
+  describe("find_questions", () => {
+    test("expands recursively and groups questions by question word", async () => {
+      const { text, structured } = await callTool("find_questions", { seed: "Jogging", depth: 2 });
+
+      assert.equal(structured.depth_reached, 2);
+      assert.equal(structured.expansions, 4);
+      assert.equal(structured.terms_found, 7);
+      assert.equal(structured.truncated, false);
+      assert.deepEqual(
+        structured.questions.map(group => [group.question_word, group.keywords.map(k => k.keyword)]),
+        [
+          ["how", ["how to start jogging", "how to start jogging at 40"]],
+          ["are", ["are jogging shoes worth it"]],
+          ["cara", ["cara mula berjoging"]],
+          ["what", ["what is a good jogging pace"]],
+        ]
+      );
+      assert.deepEqual(structured.long_tail, [{ keyword: "best app for jogging beginners", vol: 0, depth: 2 }]);
+      // 16 for expansions, 6 for volumes
+      assert.equal(structured.credits_consumed, 22);
+      assert.match(text, /^how \(2\):\n   - how to start jogging \(0\)$/m);
+    });
+
+    test("stops expanding at the credit cap", async () => {
+      // Each expansion may cost up to 40 credits (10 related + 10 PASF at 2 each)
+      const { text, structured } = await callTool("find_questions", { seed: "jogging", depth: 3, maxCredits: 45, bypassCache: true });
+      assert.equal(structured.depth_reached, 1);
+      assert.equal(structured.expansions, 1);
+      assert.equal(structured.truncated, true);
+      assert.equal(structured.credits_consumed, 8);
+      assert.match(text, /The credit cap was reached/);
+    });
+
+    test("reports terms whose volume batch failed", async () => {
+      const { text, structured } = await callTool("find_questions", { seed: "jogging drills", depth: 1, minWords: 2, maxCredits: 1000 });
+      assert.equal(structured.questions[0].keywords.length, 100);
+      assert.deepEqual(structured.long_tail, [{ keyword: "broken keyword", depth: 1 }]);
+      assert.deepEqual(structured.errors.map(error => error.keywords), [["broken keyword"]]);
+      assert.match(text, /No keyword data for 1 failed batch\(es\):\n- broken keyword: Bad Request \(400\)/);
+    });
+  });
+});
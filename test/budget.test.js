@@ -0,0 +1,73 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+describe("credit budgets", () => {
+  const samples = loadReferenceSamples();
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-ledger-"));
+  const ledgerFile = path.join(ledgerDir, "credits.json");
+  let stub;
+  let server;
+
+  const apiRequests = (endpoint) => stub.requests.filter(r => r.endpoint === endpoint).length;
+
+  async function callTool(name, args = {}) {
+    const result = await server.client.callTool({ name, arguments: args });
+    return { isError: result.isError, text: result.content[0].text, structured: result.structuredContent, error: result._meta?.error };
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url, { CREDIT_LEDGER_FILE: ledgerFile, CREDIT_BUDGET_SESSION: "25" });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+  });
+
+  test("credits_consumed is charged to the session and the day", async () => {
+    assert.equal((await callTool("get_related_keywords", { keyword: "seo", num: 5 })).isError, false);
+    assert.equal((await callTool("get_domain_backlinks", { domain: "example.com", num: 5 })).isError, false);
+
+    const { text, structured } = await callTool("get_budget_status");
+    assert.deepEqual(structured.session, { spent: 15, limit: 25, remaining: 10 });
+    assert.deepEqual(structured.daily, { spent: 15 });
+    assert.match(text, /Session budget: 15 of 25 credits used, 10 remaining/);
+    assert.match(text, /\(no limit set\)/);
+  });
+
+  test("calls whose estimate exceeds the budget are refused before reaching the API", async () => {
+    // 5 unique backlinks at 5 credits each
+    const { isError, text, error } = await callTool("get_unique_domain_backlinks", { domain: "example.com", num: 5 });
+    assert.equal(isError, true);
+    assert.match(text, /Credit budget exceeded: .*up to 25 credits, but only 10 of the 25-credit session budget remain/);
+    // A configured cap, not an empty account: no balance is attached
+    assert.deepEqual([error.kind, error.code, error.credits], ["budget", "budget_exceeded", undefined]);
+    assert.equal(apiRequests("get_unique_domain_backlinks"), 0);
+  });
+
+  test("cached responses cost nothing and are not refused", async () => {
+    await callTool("get_domain_backlinks", { domain: "example.com", num: 10 }).then(({ isError }) => assert.equal(isError, false));
+    const { isError } = await callTool("get_related_keywords", { keyword: "seo", num: 5 });
+    assert.equal(isError, false);
+    const { structured } = await callTool("get_budget_status");
+    assert.equal(structured.session.spent, 20);
+  });
+
+  test("daily spending persists across restarts", async () => {
+    await server.close();
+    server = await connectStdioClient(stub.url, { CREDIT_LEDGER_FILE: ledgerFile, CREDIT_BUDGET_DAILY: "25" });
+
+    const { structured } = await callTool("get_budget_status");
+    assert.deepEqual(structured.daily, { spent: 20, limit: 25, remaining: 5 });
+    assert.deepEqual(structured.session, { spent: 0 });
+
+    const refused = await callTool("get_pasf_keywords", { keyword: "seo", num: 5 });
+    assert.match(refused.text, /10 credits, but only 5 of the 25-credit daily budget remain/);
+  });
+});
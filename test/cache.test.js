@@ -0,0 +1,122 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+describe("response cache", () => {
+  const samples = loadReferenceSamples();
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-cache-"));
+  const cacheFile = path.join(cacheDir, "cache.json");
+  let stub;
+  let server;
+
+  const apiRequests = (endpoint) => stub.requests.filter(r => r.endpoint === endpoint).length;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return { text: result.content[0].text, structured: result.structuredContent };
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url, { CACHE_FILE: cacheFile });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test("repeated calls are served from the cache", async () => {
+    const first = await callTool("get_related_keywords", { keyword: "climate change", num: 5 });
+    assert.deepEqual(first.structured.cache, { hits: 0, api_calls: 1, credits_saved: 0 });
+    assert.equal(first.structured.credits_consumed, 10);
+
+    const second = await callTool("get_related_keywords", { keyword: "climate change", num: 5 });
+    assert.equal(apiRequests("get_related_keywords"), 1);
+    assert.deepEqual(second.structured.cache, { hits: 1, api_calls: 0, credits_saved: 10 });
+    assert.equal(second.structured.credits_consumed, 0);
+    assert.deepEqual(second.structured.data, first.structured.data);
+    assert.match(second.text, /Served from cache \(10 credits saved\)/);
+  });
+
+  test("different arguments or country are cached separately", async () => {
+    await callTool("get_domain_keywords", { domain: "example.com", country: "us", num: 5 });
+    await callTool("get_domain_keywords", { domain: "example.com", country: "au", num: 5 });
+    await callTool("get_domain_keywords", { domain: "example.com", country: "us", num: 10 });
+    assert.equal(apiRequests("get_domain_keywords"), 3);
+  });
+
+  test("bypassCache fetches fresh data", async () => {
+    const { structured } = await callTool("get_related_keywords", { keyword: "climate change", num: 5, bypassCache: true });
+    assert.equal(apiRequests("get_related_keywords"), 2);
+    assert.deepEqual(structured.cache, { hits: 0, api_calls: 1, credits_saved: 0 });
+  });
+
+  test("the credit balance is never cached", async () => {
+    await callTool("get_credits", {});
+    await callTool("get_credits", {});
+    assert.equal(apiRequests("account/credits"), 2);
+  });
+
+  test("cached responses persist across restarts", async () => {
+    await server.close();
+    assert.ok(fs.existsSync(cacheFile), "cache file written on shutdown");
+
+    server = await connectStdioClient(stub.url, { CACHE_FILE: cacheFile });
+    const { structured } = await callTool("get_related_keywords", { keyword: "climate change", num: 5 });
+    assert.equal(apiRequests("get_related_keywords"), 2);
+    assert.equal(structured.cache.hits, 1);
+  });
+
+  test("the cache is saved when the client closes the server's input", async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-test-"));
+    const stdinCacheFile = path.join(dataDir, "cache.json");
+    const child = spawn(process.execPath, [fileURLToPath(new URL("../index.js", import.meta.url))], {
+      env: {
+        ...process.env,
+        TRANSPORT_TYPE: "stdio",
+        KEYWORDS_EVERYWHERE_API_KEY: "test-key",
+        KEYWORDS_EVERYWHERE_API_URL: stub.url,
+        ANALYTICS_FILE: path.join(dataDir, "analytics.json"),
+        CACHE_FILE: stdinCacheFile,
+      },
+      stdio: ["pipe", "pipe", "ignore"],
+    });
+    const exited = new Promise(resolve => child.on("exit", resolve));
+
+    // Answer to the tools/call, then close stdin well before the 5s batched save
+    const answered = new Promise(resolve => {
+      let output = "";
+      child.stdout.on("data", chunk => {
+        output += chunk;
+        if (output.includes('"id":2')) {
+          resolve();
+        }
+      });
+    });
+    for (const message of [
+      { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "ke-test", version: "1.0.0" } } },
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "get_related_keywords", arguments: { keyword: "stdin", num: 5 } } },
+    ]) {
+      child.stdin.write(JSON.stringify(message) + "\n");
+    }
+    await answered;
+    child.stdin.end();
+
+    try {
+      assert.equal(await exited, 0);
+      const { entries } = JSON.parse(fs.readFileSync(stdinCacheFile, "utf-8"));
+      assert.equal(Object.keys(entries).length, 1);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+// Checks what each handler puts on the wire: keyword and traffic endpoints
+// take repeated `kw[]` / `domains[]` / `urls[]` form fields, the rest JSON bodies
+describe("request encoding", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  async function request(name, args, endpoint) {
+    const count = stub.requests.length;
+    const result = await server.client.callTool({ name, arguments: { ...args, bypassCache: true } });
+    assert.equal(result.isError, false, result.content[0].text);
+    const sent = stub.requests.slice(count).filter(request => request.endpoint === endpoint);
+    assert.equal(sent.length, 1);
+    return sent[0];
+  }
+
+  test("every request carries the key as a bearer token", async () => {
+    const sent = await request("get_credits", {}, "account/credits");
+    assert.equal(sent.method, "GET");
+    assert.equal(sent.headers.authorization, "Bearer test-key");
+    assert.equal(sent.headers.accept, "application/json");
+    assert.equal(sent.raw, "");
+  });
+
+  test("get_countries and get_currencies are plain GETs", async () => {
+    assert.equal((await request("get_countries", {}, "countries")).method, "GET");
+    assert.equal((await request("get_currencies", {}, "currencies")).method, "GET");
+  });
+
+  test("get_keyword_data sends one kw[] field per keyword", async () => {
+    const sent = await request("get_keyword_data", { keywords: ["keywords tool", "brésil", "a&b=c"], country: "US", currency: "USD" }, "get_keyword_data");
+    assert.equal(sent.method, "POST");
+    assert.match(sent.headers["content-type"], /^application\/x-www-form-urlencoded/);
+    assert.deepEqual(sent.form.getAll("kw[]"), ["keywords tool", "brésil", "a&b=c"]);
+    assert.equal(sent.form.get("country"), "us");
+    assert.equal(sent.form.get("currency"), "usd");
+    assert.equal(sent.form.get("dataSource"), "cli");
+    assert.ok(sent.raw.startsWith("kw%5B%5D=keywords+tool&kw%5B%5D=br%C3%A9sil&kw%5B%5D=a%26b%3Dc&"));
+  });
+
+  test("get_keyword_data applies the default country and currency", async () => {
+    const sent = await request("get_keyword_data", { keywords: ["seo"], dataSource: "gkp" }, "get_keyword_data");
+    assert.equal(sent.form.get("country"), "");
+    assert.equal(sent.form.get("currency"), "myr");
+    assert.equal(sent.form.get("dataSource"), "gkp");
+  });
+
+  test("get_keyword_data_bulk splits keywords into form batches of 100", async () => {
+    const keywords = Array.from({ length: 150 }, (_, index) => `keyword ${index}`);
+    const count = stub.requests.length;
+    const result = await server.client.callTool({ name: "get_keyword_data_bulk", arguments: { keywords, concurrency: 1, bypassCache: true } });
+    assert.equal(result.isError, false, result.content[0].text);
+    const batches = stub.requests.slice(count).filter(request => request.endpoint === "get_keyword_data");
+    assert.deepEqual(batches.map(batch => batch.form.getAll("kw[]").length), [100, 50]);
+    assert.equal(batches[1].form.getAll("kw[]")[0], "keyword 100");
+  });
+
+  for (const [tool, args, endpoint, field, values] of [
+    ["get_domain_traffic", { domain: "example.com", country: "us" }, "get_domain_traffic_metrics", "domains[]", ["example.com"]],
+    ["get_url_traffic", { url: "https://example.com/", country: "us" }, "get_url_traffic_metrics", "urls[]", ["https://example.com/"]],
+    ["compare_domain_traffic", { domains: ["https://www.example.com/", "example.org"], country: "us" }, "get_domain_traffic_metrics", "domains[]", ["www.example.com", "example.org"]],
+    ["compare_url_traffic", { urls: ["https://example.com/a", "https://example.com/b"] }, "get_url_traffic_metrics", "urls[]", ["https://example.com/a", "https://example.com/b"]],
+  ]) {
+    test(`${tool} sends ${field} form fields`, async () => {
+      const sent = await request(tool, args, endpoint);
+      assert.match(sent.headers["content-type"], /^application\/x-www-form-urlencoded/);
+      assert.deepEqual(sent.form.getAll(field), values);
+      assert.equal(sent.form.get("country"), args.country || "");
+    });
+  }
+
+  for (const [tool, args, endpoint, body] of [
+    ["get_related_keywords", { keyword: "seo tools" }, "get_related_keywords", { keyword: "seo tools", num: 10 }],
+    ["get_pasf_keywords", { keyword: "seo tools", num: 25 }, "get_pasf_keywords", { keyword: "seo tools", num: 25 }],
+    ["get_domain_keywords", { domain: "example.com", country: "UK", num: 5 }, "get_domain_keywords", { domain: "example.com", country: "uk", num: 5 }],
+    ["get_url_keywords", { url: "https://example.com/" }, "get_url_keywords", { url: "https://example.com/", country: "", num: 10 }],
+    ["get_domain_backlinks", { domain: "example.com", num: 5 }, "get_domain_backlinks", { domain: "example.com", num: 5 }],
+    ["get_unique_domain_backlinks", { domain: "example.com" }, "get_unique_domain_backlinks", { domain: "example.com", num: 10 }],
+    ["get_page_backlinks", { url: "https://example.com/" }, "get_page_backlinks", { page: "https://example.com/", num: 10 }],
+    ["get_unique_page_backlinks", { url: "https://example.com/", num: 5 }, "get_unique_page_backlinks", { page: "https://example.com/", num: 5 }],
+  ]) {
+    test(`${tool} sends a JSON body`, async () => {
+      const sent = await request(tool, args, endpoint);
+      assert.equal(sent.method, "POST");
+      assert.match(sent.headers["content-type"], /^application\/json/);
+      assert.deepEqual(sent.json, body);
+    });
+  }
+});
@@ -0,0 +1,192 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { KeywordsEverywhereError, classifyApiError, retryDelay } from "../src/errors.js";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+// Backoff delays are 10ms, 20ms and 40ms instead of 1s, 2s and 4s
+const RETRY_BASE_DELAY_MS = 10;
+
+describe("API error handling", () => {
+  const samples = loadReferenceSamples();
+  // endpoint -> responses to answer with before the sample response:
+  // { status, message, credits } or { drop: true } to close the connection
+  const failures = {};
+  let stub;
+  let server;
+  let charged = 0;
+
+  function failing(endpoint) {
+    return (request) => {
+      request.at = Date.now();
+      const next = failures[endpoint]?.shift();
+      if (!next) {
+        return { status: 200, body: samples[endpoint] };
+      }
+      if (next.drop) {
+        return next;
+      }
+      return { status: next.status, body: { message: next.message, credits: next.credits } };
+    };
+  }
+
+  before(async () => {
+    stub = await startApiStub({
+      ...samples,
+      get_related_keywords: failing("get_related_keywords"),
+      "account/credits": failing("account/credits"),
+    });
+    server = await connectStdioClient(stub.url, { RETRY_BASE_DELAY_MS: String(RETRY_BASE_DELAY_MS) });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  async function callTool(name, args = {}) {
+    const count = stub.requests.length;
+    const result = await server.client.callTool({ name, arguments: { ...args, bypassCache: true } });
+    if (!result.isError && name === "get_related_keywords") {
+      charged += result.structuredContent.credits_consumed;
+    }
+    return {
+      result,
+      text: result.content[0].text,
+      error: result._meta?.error,
+      requests: stub.requests.slice(count).filter(request => request.at)
+    };
+  }
+
+  for (const [message, kind, code, guidance] of [
+    ["Not enough credits", "payment", "insufficient_credits", /You may need to add more credits/],
+    ["Your plan does not include this endpoint", "payment", "subscription_required", /subscription plan limitation/],
+    ["Daily limit reached", "rate_limit", "rate_limited", /hit a rate limit/],
+    ["Submitted request data is invalid", "validation", "invalid_request", /invalid$/m],
+  ]) {
+    test(`400 "${message}" is classified as ${code}`, async () => {
+      failures.get_related_keywords = [{ status: 400, message }];
+      const { result, text, error, requests } = await callTool("get_related_keywords", { keyword: "seo" });
+      assert.equal(result.isError, true);
+      assert.ok(text.startsWith(`Error: Bad Request (400): ${message}`), text);
+      assert.match(text, guidance);
+      assert.match(text, new RegExp(`^Error code: ${code}$`, "m"));
+      assert.deepEqual([error.kind, error.code, error.status, error.retryable], [kind, code, 400, false]);
+      assert.equal(requests.length, 1);
+    });
+  }
+
+  test("401 asks to check the API key and is not retried", async () => {
+    failures["account/credits"] = [{ status: 401, message: "API key is missing or is invalid" }];
+    const { result, text, error, requests } = await callTool("get_credits");
+    assert.equal(result.isError, true);
+    assert.match(text, /Authentication failed \(401\): Please check your API key/);
+    assert.deepEqual([error.kind, error.code], ["auth", "invalid_api_key"]);
+    assert.equal(requests.length, 1);
+  });
+
+  test("402 is a payment error with the last known balance", async () => {
+    await callTool("get_credits");
+    failures.get_related_keywords = [{ status: 402, message: "Account has an invalid subscription or insufficient credits" }];
+    const { text, error, requests } = await callTool("get_related_keywords", { keyword: "seo" });
+    assert.match(text, /^Error: Payment required \(402\): Account has an invalid subscription or insufficient credits\. Check your Keywords Everywhere plan and credit balance\.$/m);
+    assert.match(text, /^Credits remaining: 95597755$/m);
+    assert.deepEqual(error, {
+      kind: "payment",
+      code: "payment_required",
+      message: "Payment required (402): Account has an invalid subscription or insufficient credits. Check your Keywords Everywhere plan and credit balance.",
+      retryable: false,
+      status: 402,
+      credits: 95597755
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  test("402 prefers the balance reported by the API", async () => {
+    failures.get_related_keywords = [{ status: 402, message: "Account has an invalid subscription or insufficient credits", credits: 0 }];
+    const { error } = await callTool("get_related_keywords", { keyword: "seo" });
+    assert.equal(error.code, "insufficient_credits");
+    assert.equal(error.credits, 0);
+  });
+
+  test("other 4xx statuses pass the API message through", async () => {
+    failures["account/credits"] = [{ status: 404, message: "404 Not Found" }];
+    const { text, error, requests } = await callTool("get_credits");
+    assert.match(text, /API Error \(404\): 404 Not Found/);
+    assert.deepEqual([error.kind, error.code, error.retryable], ["upstream", "api_error", false]);
+    assert.equal(requests.length, 1);
+  });
+
+  test("429 is retried with exponential backoff", async () => {
+    failures.get_related_keywords = [{ status: 429, message: "Too many requests" }, { status: 429, message: "Too many requests" }];
+    const { result, requests } = await callTool("get_related_keywords", { keyword: "seo", num: 5 });
+    assert.equal(result.isError, false, result.content[0].text);
+    assert.equal(result.structuredContent.data.length, 5);
+    assert.equal(requests.length, 3);
+    assert.ok(requests[1].at - requests[0].at >= RETRY_BASE_DELAY_MS);
+    assert.ok(requests[2].at - requests[1].at >= RETRY_BASE_DELAY_MS * 2);
+  });
+
+  test("429 gives up after three retries", async () => {
+    failures["account/credits"] = Array.from({ length: 5 }, () => ({ status: 429, message: "Too many requests" }));
+    const { result, text, error, requests } = await callTool("get_credits");
+    assert.equal(result.isError, true);
+    assert.match(text, /Rate limit exceeded \(429\)/);
+    assert.deepEqual([error.kind, error.code, error.retryable], ["rate_limit", "rate_limited", true]);
+    assert.equal(requests.length, 4);
+    assert.ok(requests[3].at - requests[2].at >= RETRY_BASE_DELAY_MS * 4);
+    failures["account/credits"] = [];
+  });
+
+  test("5xx responses are retried", async () => {
+    failures.get_related_keywords = [{ status: 503, message: "Service unavailable" }];
+    const recovered = await callTool("get_related_keywords", { keyword: "seo" });
+    assert.equal(recovered.result.isError, false, recovered.text);
+    assert.equal(recovered.requests.length, 2);
+
+    failures["account/credits"] = Array.from({ length: 4 }, () => ({ status: 500, message: "Internal server error" }));
+    const { text, error, requests } = await callTool("get_credits");
+    assert.match(text, /Keywords Everywhere API unavailable \(500\): Internal server error/);
+    assert.deepEqual([error.kind, error.code, error.status], ["upstream", "upstream_error", 500]);
+    assert.equal(requests.length, 4);
+  });
+
+  test("network errors are retried", async () => {
+    failures.get_related_keywords = [{ drop: true }, { drop: true }];
+    const recovered = await callTool("get_related_keywords", { keyword: "seo" });
+    assert.equal(recovered.result.isError, false, recovered.text);
+    assert.equal(recovered.requests.length, 3);
+
+    failures["account/credits"] = Array.from({ length: 4 }, () => ({ drop: true }));
+    const { text, error, requests } = await callTool("get_credits");
+    assert.match(text, /Could not reach the Keywords Everywhere API: socket hang up/);
+    assert.deepEqual([error.kind, error.code, error.status], ["network", "network_error", undefined]);
+    assert.equal(requests.length, 4);
+  });
+
+  test("local validation errors carry codes too", async () => {
+    const { text, error, requests } = await callTool("get_domain_keywords", { domain: "example.com", country: "usa" });
+    assert.match(text, /Unsupported country code "usa"/);
+    assert.match(text, /^Error code: unsupported_country$/m);
+    assert.deepEqual([error.kind, error.code], ["validation", "unsupported_country"]);
+    assert.equal(requests.length, 0);
+  });
+
+  test("only the calls that succeeded were charged", async () => {
+    const { structuredContent } = await server.client.callTool({ name: "get_budget_status", arguments: {} });
+    assert.ok(charged > 0);
+    assert.equal(structuredContent.session.spent, charged);
+  });
+});
+
+describe("classifyApiError", () => {
+  test("only known connection failures count as network errors", () => {
+    const reset = Object.assign(new Error("socket hang up"), { code: "ECONNRESET", isAxiosError: true });
+    const network = classifyApiError(reset);
+    assert.ok(network instanceof KeywordsEverywhereError);
+    assert.deepEqual([network.kind, network.code, network.retryable], ["network", "network_error", true]);
+
+    const canceled = Object.assign(new Error("canceled"), { code: "ERR_CANCELED", isAxiosError: true });
+    assert.equal(classifyApiError(canceled), canceled);
+    assert.equal(retryDelay(classifyApiError(canceled), 0), null);
+  });
+});
@@ -0,0 +1,128 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { connectStdioClient, loadReferenceSamples, startApiStub, startHttpServer } from "./helpers.js";
+
+describe("result exports", () => {
+  const samples = loadReferenceSamples();
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-exports-"));
+  let stub;
+  let server;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return { text: result.content[0].text, structured: result.structuredContent };
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url, { EXPORT_DIR: exportDir });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  test("csv flattens nested fields into columns", async () => {
+    const { text } = await callTool("get_keyword_data", { keywords: ["keywords tool"], format: "csv" });
+    const lines = text.split("\n");
+    assert.equal(lines[0], "vol,cpc_currency,cpc_value,keyword,competition,trend");
+    assert.ok(lines[1].startsWith('390,$,5.51,keywords tool,0.33,"[{""month"":""May"",""year"":2019,""value"":480}'));
+    assert.equal(lines[3], "0,$,0.00,brésil,0,");
+  });
+
+  test("csv quotes separators and defuses formulas", async () => {
+    const { text } = await callTool("classify_intent", { keywords: ["=HYPERLINK(\"x\")", "buy shoes, cheap"], format: "csv" });
+    const lines = text.split("\n");
+    assert.equal(lines[0], "keyword,intent,confidence,signals");
+    assert.equal(lines[1], `"'=hyperlink(""x"")",informational,low,`);
+    assert.equal(lines[2], `"buy shoes, cheap",transactional,high,transactional:buy; transactional:cheap`);
+  });
+
+  test("tsv, markdown_table and jsonl", async () => {
+    const tsv = await callTool("get_domain_keywords", { domain: "example.com", num: 5, format: "tsv" });
+    assert.equal(tsv.text.split("\n")[0], "keyword\testimated_monthly_traffic\tserp_position");
+    assert.equal(tsv.text.split("\n")[1], "example\t1200\t12");
+
+    const markdown = await callTool("get_domain_keywords", { domain: "example.com", num: 5, format: "markdown_table" });
+    assert.match(markdown.text, /^\| keyword \| estimated_monthly_traffic \| serp_position \|\n\|---\|---\|---\|\n\| example \| 1200 \| 12 \|/);
+
+    const jsonl = await callTool("get_related_keywords", { keyword: "climate change", num: 5, format: "jsonl", includeIntent: true });
+    const rows = jsonl.text.split("\n").map(line => JSON.parse(line));
+    assert.equal(rows.length, 5);
+    assert.deepEqual(Object.keys(rows[0]), ["keyword", "intent"]);
+    assert.deepEqual(rows[0], jsonl.structured.data[0]);
+  });
+
+  test("analysis tools export one row per item", async () => {
+    const { text } = await callTool("compare_domain_traffic", { domains: ["example.com", "example.org"], format: "csv" });
+    assert.match(text, /^rank,domain,estimated_monthly_traffic,total_ranking_keywords,traffic_share,keyword_share\n1,/);
+  });
+
+  test("saveToFile writes the export and returns its path", async () => {
+    const { text, structured } = await callTool("get_domain_backlinks", { domain: "example.com", num: 5, format: "csv", saveToFile: true });
+    assert.equal(structured.export.rows, 5);
+    assert.equal(structured.export.format, "csv");
+    assert.equal(structured.export.download_path, undefined);
+    // One folder per key scope
+    assert.equal(path.dirname(path.dirname(structured.export.path)), exportDir);
+    assert.match(path.basename(structured.export.path), /^get_domain_backlinks-.+-[0-9a-f]{32}\.csv$/);
+    assert.equal(text, `Saved 5 rows as csv to ${structured.export.path}`);
+
+    const saved = fs.readFileSync(structured.export.path, "utf-8");
+    assert.ok(saved.startsWith("\uFEFFanchor_text,domain_source,domain_target,url_source,url_target\n"));
+    assert.equal(saved.split("\n").length, 6);
+  });
+});
+
+describe("export downloads", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+  let client;
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await startHttpServer(stub.url);
+    client = new Client({ name: "ke-test", version: "1.0.0" });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.url}/mcp?apiKey=team-a`)));
+  });
+
+  after(async () => {
+    await client?.close();
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("HTTP callers get a download path, not the server path", async () => {
+    const result = await client.callTool({ name: "get_domain_backlinks", arguments: { domain: "example.com", num: 5, format: "csv", saveToFile: true } });
+    const { download_path, path: filePath } = result.structuredContent.export;
+    assert.equal(filePath, undefined);
+    assert.match(download_path, /^\/analytics\/exports\/get_domain_backlinks-.+-[0-9a-f]{32}\.csv$/);
+    assert.ok(!result.content[0].text.includes(server.dataDir));
+
+    const own = await fetch(`${server.url}${download_path}?apiKey=team-a`);
+    assert.equal(own.status, 200);
+    assert.ok((await own.text()).includes("anchor_text,domain_source"));
+
+    const header = await fetch(`${server.url}${download_path}`, { headers: { "X-API-Key": "team-a" } });
+    assert.equal(header.status, 200);
+    await header.arrayBuffer();
+  });
+
+  test("other keys can't download the export", async () => {
+    const result = await client.callTool({ name: "get_domain_backlinks", arguments: { domain: "example.com", num: 5, format: "csv", saveToFile: true } });
+    const { download_path } = result.structuredContent.export;
+
+    assert.equal((await fetch(`${server.url}${download_path}?apiKey=team-b`)).status, 404);
+    // Without a key the server's default key is used, which didn't save it either
+    assert.equal((await fetch(`${server.url}${download_path}`)).status, 404);
+  });
+});
@@ -0,0 +1,183 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+// Each tool is called through the real server against the sample responses
+// from References/*.md, so formatters are checked against the documented schemas
+describe("tool output matches the documented response schemas", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  async function callTool(name, args = {}) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    const text = result.content[0].text;
+    assert.doesNotMatch(text, /undefined/);
+    return { text, structured: result.structuredContent };
+  }
+
+  test("fixtures cover every endpoint", () => {
+    assert.equal(Object.keys(samples).length, 14);
+  });
+
+  test("get_credits", async () => {
+    const { text, structured } = await callTool("get_credits");
+    assert.equal(text, "Credit Balance: 95597755");
+    assert.deepEqual(structured, { credits: 95597755 });
+  });
+
+  test("get_countries lists the code -> name map", async () => {
+    const { text, structured } = await callTool("get_countries");
+    assert.match(text, /^us: United States$/m);
+    assert.match(text, /^\(empty\): Global$/m);
+    assert.deepEqual(structured.countries[1], { code: "au", name: "Australia" });
+  });
+
+  test("get_currencies lists the code -> name map", async () => {
+    const { text } = await callTool("get_currencies");
+    assert.match(text, /^myr: Malaysian Ringgit \(RM\)$/m);
+  });
+
+  test("get_keyword_data", async () => {
+    const { text, structured } = await callTool("get_keyword_data", {
+      keywords: ["keywords tool", "keyword planner", "brésil"],
+      country: "us",
+      currency: "usd",
+    });
+    assert.match(text, /keywords tool:\n- Search Volume: 390\n- CPC: \$5\.51\n- Competition: 0\.33/);
+    assert.match(text, /Credits Consumed: 3$/);
+    assert.equal(structured.data[0].trend.length, 12);
+    assert.equal(structured.credits, 7999731);
+  });
+
+  test("get_keyword_data_bulk summarizes batches in a table", async () => {
+    const { text, structured } = await callTool("get_keyword_data_bulk", {
+      keywords: ["keywords tool", "keyword planner", "Keywords Tool"],
+      currency: "usd",
+    });
+    assert.match(text, /^Keywords: 2 unique of 3 submitted\nBatches: 1\/1 succeeded\nCredits Consumed: 3\n/);
+    assert.match(text, /^\| Keyword \| Search Volume \| CPC \| Competition \|$/m);
+    assert.match(text, /^\| keywords tool \| 390 \| \$5\.51 \| 0\.33 \|$/m);
+    assert.deepEqual(structured.batches, { total: 1, succeeded: 1, failed: 0 });
+  });
+
+  for (const tool of ["get_related_keywords", "get_pasf_keywords"]) {
+    test(`${tool} lists the string results`, async () => {
+      const { text, structured } = await callTool(tool, { keyword: "climate change", num: 5 });
+      assert.match(text, /^1\. \S.+$/m);
+      assert.match(text, /^5\. \S.+$/m);
+      assert.match(text, /Credits Consumed: 10$/);
+      assert.equal(structured.data.length, 5);
+    });
+  }
+
+  for (const [tool, args] of [
+    ["get_domain_keywords", { domain: "example.com", country: "us", num: 5 }],
+    ["get_url_keywords", { url: "https://example.com/", country: "us", num: 5 }],
+  ]) {
+    test(`${tool} shows traffic and SERP position`, async () => {
+      const { text, structured } = await callTool(tool, args);
+      assert.match(text, /1\. example\n {3}- Estimated Monthly Traffic: 1200\n {3}- SERP Position: 12/);
+      assert.match(text, /4\. example website\n {3}- Estimated Monthly Traffic: 73\n {3}- SERP Position: 1/);
+      assert.deepEqual(structured.data[0], { keyword: "example", estimated_monthly_traffic: 1200, serp_position: 12 });
+    });
+  }
+
+  test("get_domain_traffic", async () => {
+    const { text } = await callTool("get_domain_traffic", { domain: "example.com", country: "us" });
+    assert.match(text, /Traffic Metrics for example\.com:\n- Estimated Monthly Traffic: 3100\n- Total Ranking Keywords: 437/);
+  });
+
+  test("get_url_traffic", async () => {
+    const { text } = await callTool("get_url_traffic", { url: "https://example.com/", country: "us" });
+    assert.match(text, /Traffic Metrics for https:\/\/example\.com\/:\n- Estimated Monthly Traffic: 3100\n- Total Ranking Keywords: 421/);
+  });
+
+  for (const [tool, args, label] of [
+    ["compare_domain_traffic", { domains: ["example.com", "example.org"] }, "Domain"],
+    ["compare_url_traffic", { urls: ["https://example.com/", "https://example.org/"] }, "URL"],
+  ]) {
+    test(`${tool} ranks targets by traffic share`, async () => {
+      const { text, structured } = await callTool(tool, args);
+      assert.ok(text.startsWith(`| Rank | ${label} | Est. Monthly Traffic | Traffic Share | Ranking Keywords | Keyword Share |\n`));
+      assert.match(text, /^\| 2 \| \S*example\.org\S* \| 27 \| 0\.9% \| 1 \| 0\.2% \|$/m);
+      assert.match(text, /Total Traffic: 3127\nCredits Consumed: 4$/);
+      assert.equal(structured.data[0].traffic_share, 99.1);
+    });
+  }
+
+  for (const [tool, args] of [
+    ["get_domain_backlinks", { domain: "example.com", num: 5 }],
+    ["get_unique_domain_backlinks", { domain: "example.com", num: 5 }],
+    ["get_page_backlinks", { url: "https://example.com/", num: 5 }],
+    ["get_unique_page_backlinks", { url: "https://example.com/", num: 5 }],
+  ]) {
+    test(`${tool} shows anchor text, source and target`, async () => {
+      const { text, structured } = await callTool(tool, args);
+      const first = structured.data[0];
+      assert.ok(text.startsWith(`1. ${first.url_source}\n`));
+      assert.match(text, /- Anchor Text: ("[^"]+"|\(empty\))/);
+      assert.ok(text.includes(`- Source Domain: ${first.domain_source}`));
+      assert.ok(text.includes(`- Target URL: ${first.url_target}`));
+      assert.equal(structured.data.length, 5);
+    });
+  }
+
+  test("page backlinks send the URL as the documented `page` parameter", () => {
+    const request = stub.requests.find(r => r.endpoint === "get_page_backlinks");
+    assert.equal(request.json.page, "https://example.com/");
+  });
+});
+
+describe("output schemas tolerate loose upstream numbers", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+
+  before(async () => {
+    stub = await startApiStub({
+      ...samples,
+      get_keyword_data: {
+        data: [{ keyword: "seo", vol: 12.5, cpc: { currency: "$", value: "1.00" }, competition: null, trend: [] }],
+        credits_consumed: 1
+      },
+      get_domain_keywords: {
+        data: [{ keyword: "seo", estimated_monthly_traffic: 3.7, serp_position: null }],
+        credits_consumed: 2
+      },
+    });
+    server = await connectStdioClient(stub.url);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("fractional and null metrics still return structured results", async () => {
+    const keywords = await server.client.callTool({ name: "get_keyword_data", arguments: { keywords: ["seo"] } });
+    assert.equal(keywords.isError, false, keywords.content[0].text);
+    assert.equal(keywords.structuredContent.data[0].vol, 12.5);
+
+    const ranking = await server.client.callTool({ name: "get_domain_keywords", arguments: { domain: "example.com" } });
+    assert.equal(ranking.isError, false, ranking.content[0].text);
+    assert.equal(ranking.structuredContent.data[0].serp_position, null);
+  });
+
+  test("output schemas advertise no defaults", async () => {
+    const { tools } = await server.client.listTools();
+    const withDefaults = tools.filter(tool => JSON.stringify(tool.outputSchema || {}).includes('"default"'));
+    assert.deepEqual(withDefaults.map(tool => tool.name), []);
+  });
+});
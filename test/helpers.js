@@ -0,0 +1,102 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { startServer, waitForExit } from "../scripts/mock-server.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const REFERENCES_DIR = path.join(ROOT_DIR, "References");
+
+// Extract { endpoint -> sample success response } from the API docs in References/
+export function loadReferenceSamples() {
+  const samples = {};
+  for (const file of fs.readdirSync(REFERENCES_DIR)) {
+    const doc = fs.readFileSync(path.join(REFERENCES_DIR, file), "utf-8");
+    const endpoint = doc.match(/(?:GET|POST)\**\s+`?https:\/\/api\.keywordseverywhere\.com\/v1\/([\w/]+)/)?.[1];
+    const sample = doc.match(/(?:## Sample Success Response|## Success Response Fields)[\s\S]*?```json\n([\s\S]*?)```/)?.[1];
+    if (endpoint && sample) {
+      samples[endpoint] = JSON.parse(sample);
+    }
+  }
+  return samples;
+}
+
+// Local stand-in for the Keywords Everywhere API. `routes` maps an endpoint
+// to a response body, or to a function (request) => { status, body }; a
+// function returning { drop: true } closes the connection without answering.
+// Every request is recorded with its decoded body for assertions.
+export async function startApiStub(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      const endpoint = req.url.replace(/^\/v1\//, "");
+      const contentType = req.headers["content-type"] || "";
+      const request = {
+        endpoint,
+        method: req.method,
+        headers: req.headers,
+        raw,
+        form: contentType.includes("application/x-www-form-urlencoded") ? new URLSearchParams(raw) : null,
+        json: contentType.includes("application/json") && raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+
+      const route = routes[endpoint];
+      const { status, body, drop } = typeof route === "function"
+        ? route(request)
+        : { status: route === undefined ? 404 : 200, body: route ?? { message: "404 Not Found" } };
+      if (drop) {
+        return req.socket.destroy();
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Spawn index.js over STDIO against the stub and connect an MCP client
+export async function connectStdioClient(apiUrl, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-test-"));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(ROOT_DIR, "index.js")],
+    env: {
+      ...process.env,
+      TRANSPORT_TYPE: "stdio",
+      KEYWORDS_EVERYWHERE_API_KEY: "test-key",
+      KEYWORDS_EVERYWHERE_API_URL: apiUrl,
+      ANALYTICS_FILE: path.join(dataDir, "analytics.json"),
+      ...env,
+    },
+    stderr: "ignore",
+  });
+  const client = new Client({ name: "ke-test", version: "1.0.0" });
+  await client.connect(transport);
+  return {
+    client,
+    dataDir,
+    close: async () => {
+      const pid = transport.pid;
+      await client.close();
+      await waitForExit(pid);
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Spawn index.js in HTTP mode against the stub; resolves once /health answers
+export function startHttpServer(apiUrl, env = {}) {
+  return startServer({ KEYWORDS_EVERYWHERE_API_KEY: "test-key", KEYWORDS_EVERYWHERE_API_URL: apiUrl, ...env });
+}
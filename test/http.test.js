@@ -0,0 +1,197 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadReferenceSamples, startApiStub, startHttpServer } from "./helpers.js";
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "ke-test", version: "1.0.0" } }
+};
+
+// POST a JSON-RPC message (or batch) to /mcp and collect the replies, which
+// arrive either as JSON or as an SSE stream
+async function post(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  const messages = (response.headers.get("content-type") || "").includes("text/event-stream")
+    ? text.split("\n").filter(line => line.startsWith("data: ")).map(line => JSON.parse(line.slice(6)))
+    : text ? [].concat(JSON.parse(text)) : [];
+  return { status: response.status, sessionId: response.headers.get("mcp-session-id"), messages };
+}
+
+describe("HTTP session lifecycle", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+  let endpoint;
+
+  async function initialize(query = "", headers = {}) {
+    const result = await post(endpoint + query, INITIALIZE, headers);
+    assert.equal(result.status, 200);
+    assert.match(result.sessionId, /^session_[0-9a-f]{32}$/);
+    await post(endpoint, { jsonrpc: "2.0", method: "notifications/initialized" }, { "Mcp-Session-Id": result.sessionId });
+    return result;
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await startHttpServer(stub.url);
+    endpoint = `${server.url}/mcp`;
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("initialize returns a session id used for later requests", async () => {
+    const { sessionId, messages } = await initialize();
+    assert.equal(messages[0].id, 1);
+    assert.equal(messages[0].result.serverInfo.name, "mcp-keywords-everywhere");
+
+    const list = await post(endpoint, { jsonrpc: "2.0", id: 2, method: "tools/list" }, { "Mcp-Session-Id": sessionId });
+    assert.equal(list.status, 200);
+    assert.ok(list.messages[0].result.tools.some(tool => tool.name === "get_keyword_data"));
+  });
+
+  test("requests without a session are rejected", async () => {
+    const { status, messages } = await post(endpoint, { jsonrpc: "2.0", id: 2, method: "tools/list" });
+    assert.equal(status, 400);
+    assert.deepEqual(messages[0].error, { code: -32002, message: "Session ID required" });
+  });
+
+  test("unknown sessions are not found", async () => {
+    const { status, messages } = await post(endpoint, { jsonrpc: "2.0", id: 2, method: "tools/list" }, { "Mcp-Session-Id": "session_unknown" });
+    assert.equal(status, 404);
+    assert.equal(messages[0].error.message, "Session not found");
+  });
+
+  test("a session stays bound to the key it was initialized with", async () => {
+    const { sessionId } = await initialize("?apiKey=user-key");
+    const call = { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "get_credits", arguments: {} } };
+
+    const mismatch = await post(endpoint + "?apiKey=other-key", call, { "Mcp-Session-Id": sessionId });
+    assert.equal(mismatch.status, 403);
+    assert.equal(mismatch.messages[0].error.code, -32001);
+
+    const { messages } = await post(endpoint, call, { "Mcp-Session-Id": sessionId });
+    assert.equal(messages[0].result.content[0].text, "Credit Balance: 95597755");
+    assert.equal(stub.requests[stub.requests.length - 1].headers.authorization, "Bearer user-key");
+  });
+
+  test("GET and DELETE with another key are rejected", async () => {
+    const { sessionId } = await initialize("?apiKey=user-key");
+
+    const stream = await fetch(endpoint + "?apiKey=other-key", { headers: { "Mcp-Session-Id": sessionId, Accept: "text/event-stream" } });
+    assert.equal(stream.status, 403);
+    assert.equal((await stream.json()).error.code, -32001);
+
+    const deleted = await fetch(endpoint, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId, "X-API-Key": "other-key" } });
+    assert.equal(deleted.status, 403);
+
+    const list = await post(endpoint, { jsonrpc: "2.0", id: 2, method: "tools/list" }, { "Mcp-Session-Id": sessionId });
+    assert.equal(list.status, 200);
+  });
+
+  test("a rejected initialize creates no session", async () => {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify(INITIALIZE)
+    });
+    assert.equal(response.status, 406);
+    assert.equal(response.headers.get("mcp-session-id"), null);
+    await response.arrayBuffer();
+    await initialize();
+  });
+
+  test("batched requests get one response each", async () => {
+    const { sessionId } = await initialize("", { "X-API-Key": "header-key" });
+    const { status, messages } = await post(endpoint, [
+      { jsonrpc: "2.0", id: 10, method: "tools/list" },
+      { jsonrpc: "2.0", id: 11, method: "tools/call", params: { name: "get_countries", arguments: {} } },
+      { jsonrpc: "2.0", method: "notifications/cancelled", params: { requestId: 99 } }
+    ], { "Mcp-Session-Id": sessionId });
+
+    assert.equal(status, 200);
+    assert.deepEqual(messages.map(message => message.id).sort(), [10, 11]);
+    const call = messages.find(message => message.id === 11);
+    assert.match(call.result.content[0].text, /^us: United States$/m);
+    assert.equal(stub.requests[stub.requests.length - 1].headers.authorization, "Bearer header-key");
+  });
+
+  test("initialize may be sent as a batch", async () => {
+    const { status, sessionId, messages } = await post(endpoint, [INITIALIZE]);
+    assert.equal(status, 200);
+    assert.ok(sessionId);
+    assert.equal(messages[0].result.serverInfo.name, "mcp-keywords-everywhere");
+  });
+
+  test("DELETE ends the session", async () => {
+    const { sessionId } = await initialize();
+
+    const missing = await fetch(endpoint, { method: "DELETE" });
+    assert.equal(missing.status, 400);
+
+    const deleted = await fetch(endpoint, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId } });
+    assert.equal(deleted.status, 200);
+
+    const again = await fetch(endpoint, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId } });
+    assert.equal(again.status, 404);
+
+    const { status } = await post(endpoint, { jsonrpc: "2.0", id: 2, method: "tools/list" }, { "Mcp-Session-Id": sessionId });
+    assert.equal(status, 404);
+  });
+});
+
+describe("HTTP session limits", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+  let endpoint;
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    // No default key, and sessions expire after 300ms without a request
+    server = await startHttpServer(stub.url, { KEYWORDS_EVERYWHERE_API_KEY: "", SESSION_IDLE_MINUTES: "0.005" });
+    endpoint = `${server.url}/mcp`;
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("initialize needs a key when the server has no default", async () => {
+    const { status, sessionId, messages } = await post(endpoint, INITIALIZE);
+    assert.equal(status, 401);
+    assert.equal(sessionId, null);
+    assert.equal(messages[0].error.code, -32001);
+    assert.equal(messages[0].id, 1);
+
+    const keyed = await post(endpoint + "?apiKey=user-key", INITIALIZE);
+    assert.equal(keyed.status, 200);
+  });
+
+  test("idle sessions are closed", async () => {
+    const { sessionId } = await post(endpoint + "?apiKey=user-key", INITIALIZE);
+    const list = { jsonrpc: "2.0", id: 2, method: "tools/list" };
+    await post(endpoint, { jsonrpc: "2.0", method: "notifications/initialized" }, { "Mcp-Session-Id": sessionId });
+
+    // Each request restarts the idle timer
+    for (let i = 0; i < 3; i++) {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert.equal((await post(endpoint, list, { "Mcp-Session-Id": sessionId })).status, 200);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const { status, messages } = await post(endpoint, list, { "Mcp-Session-Id": sessionId });
+    assert.equal(status, 404);
+    assert.equal(messages[0].error.message, "Session not found");
+  });
+});
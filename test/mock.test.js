@@ -0,0 +1,75 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { connectStdioClient } from "./helpers.js";
+
+describe("mock mode", () => {
+  let server;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return result.structuredContent;
+  }
+
+  before(async () => {
+    // Nothing listens on the API URL and there is no API key: everything stays local
+    server = await connectStdioClient("http://127.0.0.1:9/v1", { KE_MOCK: "1", KEYWORDS_EVERYWHERE_API_KEY: "" });
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  test("responses are deterministic per input", async () => {
+    const first = await callTool("get_keyword_data", { keywords: ["running shoes", "trail shoes"], country: "us", currency: "usd" });
+    const again = await callTool("get_keyword_data", { keywords: ["running shoes"], country: "us", currency: "usd", bypassCache: true });
+    assert.deepEqual(again.data[0], first.data[0]);
+    assert.notEqual(first.data[0].vol, first.data[1].vol);
+    assert.equal(first.data[0].cpc.currency, "$");
+    assert.equal(first.data[0].trend.length, 12);
+    assert.equal(first.credits_consumed, 2);
+
+    const otherCountry = await callTool("get_keyword_data", { keywords: ["running shoes"], country: "uk", currency: "usd" });
+    assert.notDeepEqual(otherCountry.data[0], first.data[0]);
+  });
+
+  test("list endpoints follow the sample shapes", async () => {
+    const related = await callTool("get_related_keywords", { keyword: "running shoes", num: 8 });
+    assert.equal(related.data.length, 8);
+    assert.ok(related.data.every(keyword => keyword.includes("running shoes")));
+    assert.equal(related.credits_consumed, 16);
+
+    const rankings = await callTool("get_domain_keywords", { domain: "nike.com", num: 10 });
+    assert.equal(rankings.data.length, 10);
+    assert.ok(rankings.data.some(item => item.keyword.includes("nike")));
+    assert.deepEqual(Object.keys(rankings.data[0]), ["keyword", "estimated_monthly_traffic", "serp_position"]);
+
+    const backlinks = await callTool("get_unique_domain_backlinks", { domain: "nike.com", num: 30 });
+    assert.equal(new Set(backlinks.data.map(item => item.domain_source)).size, 30);
+    assert.ok(backlinks.data.every(item => item.domain_target === "nike.com"));
+
+    const traffic = await callTool("compare_domain_traffic", { domains: ["nike.com", "adidas.com"] });
+    assert.deepEqual(traffic.data.map(item => item.domain).sort(), ["adidas.com", "nike.com"]);
+  });
+
+  test("the mock balance goes down as credits are spent", async () => {
+    const before = await callTool("get_credits", {});
+    await callTool("get_related_keywords", { keyword: "balance check", num: 5 });
+    const after = await callTool("get_credits", {});
+    assert.equal(before.credits - after.credits, 10);
+  });
+
+  test("ke-mock-<status> inputs simulate API errors", async () => {
+    const expected = {
+      400: [/Bad Request \(400\): Submitted request data is invalid/, "invalid_request"],
+      401: [/Authentication failed \(401\)/, "invalid_api_key"],
+      402: [/Payment required \(402\): Account has an invalid subscription or insufficient credits/, "payment_required"]
+    };
+    for (const [status, [message, code]] of Object.entries(expected)) {
+      const result = await server.client.callTool({ name: "get_keyword_data", arguments: { keywords: [`ke-mock-${status}`] } });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, message);
+      assert.equal(result._meta.error.code, code);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { connectStdioClient, loadReferenceSamples, startApiStub, startHttpServer } from "./helpers.js";
+
+describe("project workspaces", () => {
+  const samples = loadReferenceSamples();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ke-mcp-projects-"));
+  const env = { PROJECTS_FILE: path.join(dataDir, "projects.json") };
+  let stub;
+  let server;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return { text: result.content[0].text, structured: result.structuredContent };
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url, env);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("create_project normalizes the name and rejects duplicates", async () => {
+    const { structured } = await callTool("create_project", { name: "Acme Corp", description: "Client site" });
+    assert.equal(structured.name, "acme-corp");
+    assert.equal(structured.keywords, 0);
+
+    const duplicate = await server.client.callTool({ name: "create_project", arguments: { name: "acme corp" } });
+    assert.equal(duplicate.isError, true);
+    assert.match(duplicate.content[0].text, /already exists/);
+  });
+
+  test("add_to_project merges keywords", async () => {
+    const first = await callTool("add_to_project", { project: "acme-corp", keywords: ["Running Shoes", "trail shoes"] });
+    assert.deepEqual(first.structured, { project: "acme-corp", collection: "keywords", items: 2, added: 2 });
+
+    const second = await callTool("add_to_project", { project: "acme-corp", items: [{ keyword: "running shoes", vol: 900 }] });
+    assert.equal(second.structured.added, 0);
+    assert.equal(second.text, 'Added 1 keywords to project "acme-corp" (0 new)');
+
+    const { structured } = await callTool("get_project", { project: "acme-corp", collection: "keywords" });
+    assert.deepEqual(structured.keywords.map(item => [item.keyword, item.vol]), [["running shoes", 900], ["trail shoes", undefined]]);
+    assert.equal(structured.rankings, undefined);
+  });
+
+  test("saveToProject stores tool results", async () => {
+    const keywords = await callTool("get_keyword_data", { keywords: ["keywords tool"], saveToProject: "acme-corp" });
+    assert.equal(keywords.structured.project.collection, "keywords");
+    assert.equal(keywords.structured.project.added, keywords.structured.data.length);
+    assert.match(keywords.text, /Saved to project "acme-corp" \(\d+ keywords, \d+ new\)$/);
+
+    const rankings = await callTool("get_domain_keywords", { domain: "example.com", num: 5, saveToProject: "acme-corp" });
+    assert.deepEqual(rankings.structured.project, { project: "acme-corp", collection: "rankings", items: 5 });
+
+    const { structured } = await callTool("get_project", { project: "acme-corp" });
+    assert.equal(structured.rankings.length, 1);
+    assert.equal(structured.rankings[0].target, "example.com");
+    assert.equal(structured.rankings[0].source, "get_domain_keywords");
+    assert.equal(structured.rankings[0].data.length, 5);
+    assert.ok(structured.keywords.some(item => item.keyword === "keywords tool" && item.vol === 390));
+  });
+
+  test("unknown projects fail before the API is called", async () => {
+    const requests = stub.requests.length;
+    const result = await server.client.callTool({ name: "get_domain_backlinks", arguments: { domain: "example.com", saveToProject: "acme-crop" } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Project "acme-crop" not found\. Did you mean: acme-corp\?/);
+    assert.equal(stub.requests.length, requests);
+  });
+
+  test("projects are listed and readable as resources", async () => {
+    const { structured } = await callTool("list_projects", {});
+    assert.deepEqual(structured.projects.map(project => [project.name, project.rankings]), [["acme-corp", 1]]);
+
+    const { resources } = await server.client.listResources();
+    assert.deepEqual(resources.map(resource => resource.uri).filter(uri => uri.startsWith("project://")), [
+      "project://acme-corp",
+      "project://acme-corp/keywords",
+      "project://acme-corp/rankings",
+      "project://acme-corp/backlinks"
+    ]);
+
+    const { contents } = await server.client.readResource({ uri: "project://acme-corp/rankings" });
+    assert.equal(contents[0].mimeType, "application/json");
+    assert.equal(JSON.parse(contents[0].text)[0].target, "example.com");
+  });
+
+  test("projects persist across restarts", async () => {
+    await server.close();
+    server = await connectStdioClient(stub.url, env);
+    const { structured } = await callTool("get_project", { project: "Acme Corp" });
+    assert.equal(structured.description, "Client site");
+    assert.equal(structured.rankings.length, 1);
+  });
+});
+
+describe("project scopes", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+  const clients = [];
+
+  async function connect(apiKey) {
+    const client = new Client({ name: "ke-test", version: "1.0.0" });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.url}/mcp?apiKey=${apiKey}`)));
+    clients.push(client);
+    return client;
+  }
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await startHttpServer(stub.url);
+  });
+
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("reading projects does not store a scope for the key", async () => {
+    const reader = await connect("reader");
+    const { structuredContent } = await reader.callTool({ name: "list_projects", arguments: {} });
+    assert.deepEqual(structuredContent.projects, []);
+    const missing = await reader.callTool({ name: "get_project", arguments: { project: "acme" } });
+    assert.equal(missing.isError, true);
+
+    const writer = await connect("writer");
+    const created = await writer.callTool({ name: "create_project", arguments: { name: "acme" } });
+    assert.equal(created.isError, false, created.content[0].text);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(server.dataDir, "keywords-everywhere-projects.json"), "utf-8"));
+    assert.equal(Object.keys(stored.scopes).length, 1);
+  });
+});
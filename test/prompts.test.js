@@ -0,0 +1,66 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { connectStdioClient, startApiStub } from "./helpers.js";
+
+describe("prompts", () => {
+  let stub;
+  let server;
+
+  before(async () => {
+    stub = await startApiStub({});
+    server = await connectStdioClient(stub.url, { DEFAULT_COUNTRY: "my" });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("workflows are listed with their arguments", async () => {
+    const { prompts } = await server.client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), [
+      "keyword_research_brief",
+      "competitor_audit",
+      "backlink_outreach_list",
+      "page_optimization_check"
+    ]);
+    const audit = prompts.find(prompt => prompt.name === "competitor_audit");
+    assert.equal(audit.title, "Competitor audit");
+    assert.deepEqual(audit.arguments.map(arg => [arg.name, arg.required]), [["domain", true], ["competitors", true], ["country", false]]);
+  });
+
+  test("arguments are filled into the tool calls", async () => {
+    const { messages } = await server.client.getPrompt({
+      name: "competitor_audit",
+      arguments: { domain: "example.com", competitors: "rival.com, other.org\nthird.net", country: "US" }
+    });
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].role, "user");
+    const text = messages[0].content.text;
+    assert.match(text, /Pass country: "us" to every tool/);
+    assert.match(text, /compare_domain_traffic with domains \["example.com","rival.com","other.org","third.net"\]/);
+    assert.match(text, /keyword_gap with domain "example.com" and competitors \["rival.com","other.org","third.net"\]/);
+  });
+
+  test("optional arguments fall back to defaults", async () => {
+    const { messages } = await server.client.getPrompt({ name: "keyword_research_brief", arguments: { seed: "running shoes" } });
+    const text = messages[0].content.text;
+    assert.match(text, /\(country "my"\)/);
+    assert.doesNotMatch(text, /saveToProject|quick wins/i);
+
+    const withProject = await server.client.getPrompt({
+      name: "keyword_research_brief",
+      arguments: { seed: "running shoes", domain: "example.com", project: "acme" }
+    });
+    assert.match(withProject.messages[0].content.text, /domain "example.com" to flag quick wins\. Pass saveToProject: "acme"/);
+  });
+
+  test("required arguments are enforced", async () => {
+    await assert.rejects(server.client.getPrompt({ name: "page_optimization_check", arguments: {} }), /url/);
+  });
+
+  test("prompts spend no credits", async () => {
+    await server.client.getPrompt({ name: "page_optimization_check", arguments: { url: "https://example.com/page" } });
+    assert.equal(stub.requests.length, 0);
+  });
+});
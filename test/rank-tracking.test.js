@@ -0,0 +1,187 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setTimeout as delay } from "timers/promises";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { connectStdioClient, loadReferenceSamples, startApiStub, startHttpServer } from "./helpers.js";
+
+// Successive get_domain_keywords responses for example.com:
+// [keyword, serp_position, estimated_monthly_traffic]
+const SNAPSHOTS = [
+  [["running shoes", 8, 500], ["trail shoes", 3, 900], ["shoe store", 12, 100], ["old product", 5, 300]],
+  [["running shoes", 4, 1100], ["trail shoes", 6, 600], ["shoe store", 12, 120], ["new product", 9, 250]],
+];
+
+function rankingsStub(samples) {
+  let calls = 0;
+  return {
+    ...samples,
+    get_domain_keywords: ({ json }) => {
+      const rows = SNAPSHOTS[Math.min(calls++, SNAPSHOTS.length - 1)].slice(0, json.num);
+      return {
+        status: 200,
+        body: {
+          data: rows.map(([keyword, serp_position, estimated_monthly_traffic]) => ({ keyword, serp_position, estimated_monthly_traffic })),
+          credits_consumed: rows.length * 2
+        }
+      };
+    }
+  };
+}
+
+describe("rank tracking", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+
+  async function callTool(name, args) {
+    const result = await server.client.callTool({ name, arguments: args });
+    assert.equal(result.isError, false, result.content[0].text);
+    return { text: result.content[0].text, structured: result.structuredContent };
+  }
+
+  before(async () => {
+    stub = await startApiStub(rankingsStub(samples));
+    server = await connectStdioClient(stub.url);
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("rank_changes needs two snapshots", async () => {
+    const tracked = await callTool("track_domain", { domain: "https://www.Example.com/", country: "us", num: 10, intervalHours: 0 });
+    assert.equal(tracked.structured.domain, "www.example.com");
+    assert.equal(tracked.structured.scheduled, false);
+
+    const first = await callTool("take_rank_snapshot", { domain: "www.example.com", country: "us" });
+    assert.equal(first.structured.num, 10);
+    assert.equal(first.structured.total_traffic, 1800);
+    assert.equal(first.structured.snapshots, 1);
+
+    const result = await server.client.callTool({ name: "rank_changes", arguments: { domain: "www.example.com", country: "us" } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Need at least two snapshots/);
+  });
+
+  test("rank_changes diffs the latest snapshots", async () => {
+    await callTool("take_rank_snapshot", { domain: "www.example.com", country: "us" });
+    const { text, structured } = await callTool("rank_changes", { domain: "www.example.com", country: "us" });
+
+    assert.deepEqual(structured.summary, { gained: 1, lost: 1, improved: 1, declined: 1, unchanged: 1 });
+    assert.deepEqual(structured.traffic, { from: 1800, to: 2070, change: 270, change_percent: 15 });
+    assert.deepEqual(structured.gained.map(item => item.keyword), ["new product"]);
+    assert.deepEqual(structured.lost.map(item => item.keyword), ["old product"]);
+    assert.deepEqual(structured.improved, [{ keyword: "running shoes", from_position: 8, to_position: 4, change: 4, traffic_change: 600 }]);
+    assert.deepEqual(structured.declined, [{ keyword: "trail shoes", from_position: 3, to_position: 6, change: -3, traffic_change: -300 }]);
+    assert.match(text, /Traffic: 1800 → 2070 \(\+270, \+15%\)/);
+    assert.match(text, /- running shoes: #8 → #4 \(\+4, traffic \+600\)/);
+  });
+
+  test("snapshots are picked by date and always fetched fresh", async () => {
+    const requests = stub.requests.filter(request => request.endpoint === "get_domain_keywords").length;
+    assert.equal(requests, 2);
+
+    const result = await server.client.callTool({ name: "rank_changes", arguments: { domain: "www.example.com", country: "us", to: "2000-01-01" } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /No snapshot at or before 2000-01-01/);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { structured } = await callTool("rank_changes", { domain: "www.example.com", country: "us", to: today, format: "csv" });
+    assert.equal(structured.summary.gained, 1);
+  });
+
+  test("rank_changes exports one row per change", async () => {
+    const { text } = await callTool("rank_changes", { domain: "www.example.com", country: "us", format: "csv" });
+    const lines = text.split("\n");
+    assert.equal(lines[0], "change,keyword,from_position,to_position,estimated_monthly_traffic,position_change,traffic_change");
+    assert.equal(lines[1], "gained,new product,,9,250,,");
+    assert.equal(lines[4], "declined,trail shoes,3,6,,-3,-300");
+  });
+
+  test("untrack_domain keeps snapshots", async () => {
+    const { structured } = await callTool("untrack_domain", { domain: "www.example.com", country: "us" });
+    assert.deepEqual(structured, { domain: "www.example.com", country: "us", removed: true, snapshots: 2 });
+    const list = await callTool("list_tracked_domains", {});
+    assert.deepEqual(list.structured.tracked, []);
+  });
+});
+
+describe("scheduled rank snapshots", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+
+  before(async () => {
+    stub = await startApiStub(rankingsStub(samples));
+    server = await connectStdioClient(stub.url, { RANK_TRACKING_SCHEDULE: "true", RANK_TRACKING_CHECK_MINUTES: "0.005" });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("due domains are snapshotted with the server key", async () => {
+    await server.client.callTool({ name: "track_domain", arguments: { domain: "example.com", num: 3 } });
+
+    let tracked;
+    for (let attempt = 0; attempt < 20 && !(tracked?.snapshots > 0); attempt++) {
+      await delay(250);
+      const result = await server.client.callTool({ name: "list_tracked_domains", arguments: {} });
+      tracked = result.structuredContent.tracked[0];
+    }
+    assert.equal(tracked.snapshots, 1);
+    assert.equal(tracked.scheduled, true);
+    assert.equal(Date.parse(tracked.next_snapshot_at) - Date.parse(tracked.last_snapshot_at), 24 * 60 * 60 * 1000);
+
+    // Not due again for a day
+    await delay(600);
+    assert.equal(stub.requests.filter(request => request.endpoint === "get_domain_keywords").length, 1);
+    assert.equal(stub.requests[stub.requests.length - 1].json.num, 3);
+  });
+});
+
+describe("rank tracking scopes", () => {
+  const samples = loadReferenceSamples();
+  let stub;
+  let server;
+  const clients = [];
+
+  async function connect(apiKey) {
+    const client = new Client({ name: "ke-test", version: "1.0.0" });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.url}/mcp?apiKey=${apiKey}`)));
+    clients.push(client);
+    return client;
+  }
+
+  before(async () => {
+    stub = await startApiStub(rankingsStub(samples));
+    server = await startHttpServer(stub.url);
+  });
+
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("reading rank tracking does not store a scope for the key", async () => {
+    const file = path.join(server.dataDir, "keywords-everywhere-rankings.json");
+    const reader = await connect("reader");
+    const list = await reader.callTool({ name: "list_tracked_domains", arguments: {} });
+    assert.deepEqual(list.structuredContent.tracked, []);
+    assert.equal((await reader.callTool({ name: "rank_changes", arguments: { domain: "example.com" } })).isError, true);
+    const untracked = await reader.callTool({ name: "untrack_domain", arguments: { domain: "example.com" } });
+    assert.equal(untracked.structuredContent.removed, false);
+    assert.equal(fs.existsSync(file), false);
+
+    const writer = await connect("writer");
+    const tracked = await writer.callTool({ name: "track_domain", arguments: { domain: "example.com" } });
+    assert.equal(tracked.isError, false, tracked.content[0].text);
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(file, "utf-8")).scopes).length, 1);
+  });
+});
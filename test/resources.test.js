@@ -0,0 +1,68 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { connectStdioClient, loadReferenceSamples, startApiStub } from "./helpers.js";
+
+describe("reference and account resources", () => {
+  const samples = loadReferenceSamples();
+  const updates = [];
+  let stub;
+  let server;
+
+  const apiRequests = (endpoint) => stub.requests.filter(request => request.endpoint === endpoint).length;
+
+  before(async () => {
+    stub = await startApiStub(samples);
+    server = await connectStdioClient(stub.url);
+    server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updates.push(notification.params.uri);
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await stub?.close();
+  });
+
+  test("resources are listed and subscribable", async () => {
+    const { resources } = await server.client.listResources();
+    assert.deepEqual(resources.map(resource => resource.uri), ["ke://countries", "ke://currencies", "ke://account/credits"]);
+    assert.equal(server.client.getServerCapabilities().resources.subscribe, true);
+  });
+
+  test("countries and currencies are cached", async () => {
+    const first = await server.client.readResource({ uri: "ke://countries" });
+    const { countries } = JSON.parse(first.contents[0].text);
+    assert.ok(countries.some(country => country.code === "us"));
+
+    await server.client.readResource({ uri: "ke://countries" });
+    assert.equal(apiRequests("countries"), 1);
+
+    const currencies = await server.client.readResource({ uri: "ke://currencies" });
+    assert.ok(JSON.parse(currencies.contents[0].text).currencies.length > 0);
+  });
+
+  test("the credit balance is cached until credits are spent", async () => {
+    const first = await server.client.readResource({ uri: "ke://account/credits" });
+    assert.equal(typeof JSON.parse(first.contents[0].text).credits, "number");
+    await server.client.readResource({ uri: "ke://account/credits" });
+    assert.equal(apiRequests("account/credits"), 1);
+
+    await server.client.subscribeResource({ uri: "ke://account/credits" });
+    await server.client.callTool({ name: "get_keyword_data", arguments: { keywords: ["keywords tool"] } });
+    await delay(100);
+    assert.deepEqual(updates, ["ke://account/credits"]);
+
+    await server.client.readResource({ uri: "ke://account/credits" });
+    assert.equal(apiRequests("account/credits"), 2);
+  });
+
+  test("cached tool results and unsubscribed clients get no updates", async () => {
+    await server.client.callTool({ name: "get_keyword_data", arguments: { keywords: ["keywords tool"] } });
+    await server.client.unsubscribeResource({ uri: "ke://account/credits" });
+    await server.client.callTool({ name: "get_keyword_data", arguments: { keywords: ["keywords tool"], bypassCache: true } });
+    await delay(100);
+    assert.deepEqual(updates, ["ke://account/credits"]);
+  });
+});